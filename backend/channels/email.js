@@ -0,0 +1,56 @@
+// channels/email.js
+// Email over SMTP (nodemailer) when SMTP_HOST is set, otherwise over the vendor
+// HTTP API (the local mock vendor by default).
+const nodemailer = require('nodemailer');
+const { postJson } = require('./http');
+const { ChannelError } = require('./errors');
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// SMTP reply codes: 550/553 mean the mailbox is bad, other 5xx are refusals, 4xx are temporary.
+function fromSmtpError(err) {
+  const code = Number(err && err.responseCode);
+  const message = err && err.message ? err.message : String(err);
+  if (code === 550 || code === 553) return new ChannelError('INVALID_RECIPIENT', message, { vendor: 'smtp', status: code });
+  if (code === 535) return new ChannelError('AUTH_ERROR', message, { vendor: 'smtp', status: code });
+  if (code >= 500) return new ChannelError('REJECTED', message, { vendor: 'smtp', status: code });
+  if (code >= 400) return new ChannelError('VENDOR_UNAVAILABLE', message, { retryable: true, vendor: 'smtp', status: code });
+  return new ChannelError('NETWORK_ERROR', message, { retryable: true, vendor: 'smtp' });
+}
+
+function createEmailChannel(config) {
+  const transport = config.smtp.host
+    ? nodemailer.createTransport({
+      host: config.smtp.host,
+      port: config.smtp.port,
+      secure: config.smtp.secure,
+      auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.pass } : undefined
+    })
+    : null;
+
+  return {
+    name: 'email',
+    vendor: transport ? 'smtp' : 'email-api',
+    addressFor: customer => customer.email || null,
+
+    async send({ to, message, subject, reference, unsubscribeUrl }) {
+      if (!to || !EMAIL_RE.test(to)) throw new ChannelError('INVALID_RECIPIENT', `Invalid email address: ${to || '(none)'}`, { vendor: this.vendor });
+      // RFC 8058 one-click unsubscribe: mail clients POST to the link
+      const headers = unsubscribeUrl
+        ? { 'List-Unsubscribe': `<${unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        : {};
+      if (transport) {
+        try {
+          const info = await transport.sendMail({ from: config.from, to, subject, text: message, headers });
+          return { vendor: 'smtp', vendorMessageId: info.messageId };
+        } catch (e) {
+          throw fromSmtpError(e);
+        }
+      }
+      const json = await postJson(config.apiUrl, { from: config.from, to, subject, body: message, headers, metadata: reference }, { apiKey: config.apiKey, vendor: 'email-api' });
+      return { vendor: 'email-api', vendorMessageId: json.id };
+    }
+  };
+}
+
+module.exports = { createEmailChannel };
@@ -0,0 +1,42 @@
+// channels/errors.js
+// Normalized delivery errors. Every adapter throws ChannelError so the send path
+// can log and (later) retry failures without knowing vendor-specific formats.
+//
+// codes:
+//   INVALID_RECIPIENT   - missing/malformed address, or the vendor says it does not exist
+//   REJECTED            - vendor refused the message (content, policy, opt-out)
+//   AUTH_ERROR          - bad or missing vendor credentials
+//   RATE_LIMITED        - vendor throttled us (retryable)
+//   VENDOR_UNAVAILABLE  - vendor 5xx / temporary SMTP failure (retryable)
+//   NETWORK_ERROR       - could not reach the vendor at all (retryable)
+class ChannelError extends Error {
+  constructor(code, message, { retryable = false, vendor = null, status = null } = {}) {
+    super(message);
+    this.name = 'ChannelError';
+    this.code = code;
+    this.retryable = retryable;
+    this.vendor = vendor;
+    this.status = status;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, retryable: this.retryable, vendor: this.vendor };
+  }
+}
+
+// Maps an HTTP status from a vendor API onto a ChannelError.
+function fromHttpStatus(status, message, vendor) {
+  if (status === 400 || status === 404 || status === 422) return new ChannelError('INVALID_RECIPIENT', message, { vendor, status });
+  if (status === 401 || status === 403) return new ChannelError('AUTH_ERROR', message, { vendor, status });
+  if (status === 429) return new ChannelError('RATE_LIMITED', message, { retryable: true, vendor, status });
+  if (status >= 500) return new ChannelError('VENDOR_UNAVAILABLE', message, { retryable: true, vendor, status });
+  return new ChannelError('REJECTED', message, { vendor, status });
+}
+
+// Wraps anything thrown by an adapter so callers only ever see ChannelError.
+function normalizeError(err, vendor) {
+  if (err instanceof ChannelError) return err;
+  return new ChannelError('NETWORK_ERROR', err && err.message ? err.message : String(err), { retryable: true, vendor });
+}
+
+module.exports = { ChannelError, fromHttpStatus, normalizeError };
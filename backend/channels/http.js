@@ -0,0 +1,37 @@
+// channels/http.js
+// Shared JSON-over-HTTP client for vendor APIs (SMS, WhatsApp, and email when no SMTP is configured).
+const { ChannelError, fromHttpStatus } = require('./errors');
+
+// Vendors are expected to answer 2xx with { id } and errors with { error: { code, message } } or { error: "..." }.
+async function postJson(url, body, { apiKey, vendor, timeoutMs = 10 * 1000 } = {}) {
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (e) {
+    const reason = e && e.cause && e.cause.code ? e.cause.code : (e && e.message ? e.message : String(e));
+    throw new ChannelError('NETWORK_ERROR', `Could not reach ${vendor} at ${url}: ${reason}`, { retryable: true, vendor });
+  }
+
+  let json = null;
+  try { json = await resp.json(); } catch (e) { json = null; }
+
+  if (!resp.ok) {
+    const err = json && json.error;
+    const message = (err && (err.message || (typeof err === 'string' ? err : null))) || `${vendor} responded ${resp.status}`;
+    throw fromHttpStatus(resp.status, message, vendor);
+  }
+  if (!json || !json.id) {
+    throw new ChannelError('VENDOR_UNAVAILABLE', `${vendor} response had no message id`, { retryable: true, vendor, status: resp.status });
+  }
+  return json;
+}
+
+module.exports = { postJson };
@@ -0,0 +1,78 @@
+// channels/index.js
+// Delivery channel adapters, picked per campaign via `campaign.channel`.
+//
+// Adapter interface:
+//   name                         -> 'email' | 'sms' | 'whatsapp'
+//   addressFor(customer)         -> address to send to (email or phone), or null
+//   send({ to, message, subject, reference, unsubscribeUrl })
+//                                -> { vendor, vendorMessageId }; throws ChannelError
+// `reference` ({ campaignId, logId, customer_email }) is passed through to the
+// vendor so its delivery callbacks can be matched back to the log entry.
+// `unsubscribeUrl` is the recipient's one-click unsubscribe link (List-Unsubscribe for email).
+//
+// With no provider settings every adapter talks to the mock vendor
+// (node mockVendor.js, MOCK_VENDOR_URL, default http://localhost:4100).
+const { createEmailChannel } = require('./email');
+const { createSmsChannel } = require('./sms');
+const { createWhatsappChannel } = require('./whatsapp');
+const { ChannelError, normalizeError } = require('./errors');
+
+const CHANNEL_NAMES = ['email', 'sms', 'whatsapp'];
+
+function configFromEnv(env = process.env) {
+  const mock = (env.MOCK_VENDOR_URL || 'http://localhost:4100').replace(/\/$/, '');
+  return {
+    email: {
+      from: env.EMAIL_FROM || 'Xeno CRM <no-reply@xeno.local>',
+      smtp: {
+        host: env.SMTP_HOST || null,
+        port: Number(env.SMTP_PORT || 587),
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER || null,
+        pass: env.SMTP_PASS || null
+      },
+      apiUrl: env.EMAIL_API_URL || `${mock}/email/messages`,
+      apiKey: env.EMAIL_API_KEY || null
+    },
+    sms: {
+      from: env.SMS_FROM || 'XENO',
+      apiUrl: env.SMS_API_URL || `${mock}/sms/messages`,
+      apiKey: env.SMS_API_KEY || null
+    },
+    whatsapp: {
+      from: env.WHATSAPP_FROM || 'XENO',
+      apiUrl: env.WHATSAPP_API_URL || `${mock}/whatsapp/messages`,
+      apiKey: env.WHATSAPP_API_KEY || null
+    }
+  };
+}
+
+function createChannels(config = configFromEnv()) {
+  const adapters = {
+    email: createEmailChannel(config.email),
+    sms: createSmsChannel(config.sms),
+    whatsapp: createWhatsappChannel(config.whatsapp)
+  };
+
+  return {
+    get(name) {
+      const adapter = adapters[name || 'email'];
+      if (!adapter) throw new Error(`Unknown channel "${name}"`);
+      return adapter;
+    },
+
+    // Sends one message and always resolves: { ok: true, to, vendor, vendorMessageId } or { ok: false, to, error }.
+    async deliver(name, customer, { message, subject, reference, unsubscribeUrl }) {
+      const adapter = this.get(name);
+      const to = adapter.addressFor(customer);
+      try {
+        const result = await adapter.send({ to, message, subject, reference, unsubscribeUrl });
+        return { ok: true, to, ...result };
+      } catch (e) {
+        return { ok: false, to, error: normalizeError(e, adapter.vendor).toJSON() };
+      }
+    }
+  };
+}
+
+module.exports = { createChannels, configFromEnv, CHANNEL_NAMES, ChannelError };
@@ -0,0 +1,32 @@
+// channels/sms.js
+// SMS over a JSON HTTP API (the local mock vendor by default).
+const { postJson } = require('./http');
+const { ChannelError } = require('./errors');
+
+// Loose check only: digits with an optional leading +, 8-15 digits long.
+const PHONE_RE = /^\+?[0-9]{8,15}$/;
+
+function cleanPhone(phone) {
+  return phone ? String(phone).replace(/[\s().-]/g, '') : null;
+}
+
+// Shared by the SMS and WhatsApp adapters, which differ only in endpoint and vendor name.
+function createPhoneChannel(name, vendor, config) {
+  return {
+    name,
+    vendor,
+    addressFor: customer => cleanPhone(customer.phone),
+
+    async send({ to, message, reference }) {
+      if (!to || !PHONE_RE.test(to)) throw new ChannelError('INVALID_RECIPIENT', `Invalid phone number: ${to || '(none)'}`, { vendor });
+      const json = await postJson(config.apiUrl, { from: config.from, to, body: message, metadata: reference }, { apiKey: config.apiKey, vendor });
+      return { vendor, vendorMessageId: json.id };
+    }
+  };
+}
+
+function createSmsChannel(config) {
+  return createPhoneChannel('sms', 'sms-api', config);
+}
+
+module.exports = { createSmsChannel, createPhoneChannel };
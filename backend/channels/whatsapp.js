@@ -0,0 +1,9 @@
+// channels/whatsapp.js
+// WhatsApp over a JSON HTTP API (the local mock vendor by default).
+const { createPhoneChannel } = require('./sms');
+
+function createWhatsappChannel(config) {
+  return createPhoneChannel('whatsapp', 'whatsapp-api', config);
+}
+
+module.exports = { createWhatsappChannel };
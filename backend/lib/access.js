@@ -0,0 +1,85 @@
+// lib/access.js
+// Roles, permissions and the sign-in allowlist.
+//
+//   admin     everything, plus users, access settings, delivery rules, merges and the audit log
+//   marketer  read and change customers, segments, imports and campaigns, and send
+//   viewer    read only (analysts)
+//
+// Only allowlisted Google accounts get in: a user an admin added by email (the `users`
+// collection), an address in ADMIN_EMAILS, or any address on one of the allowed domains,
+// which signs up with the default role.
+//
+// Roles are global, workspaces are not: an account only works in workspaces it is a member
+// of, and an admin only sees and changes memberships of the workspaces they belong to.
+const ROLES = ['admin', 'marketer', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  admin: ['read', 'write', 'admin'],
+  marketer: ['read', 'write'],
+  viewer: ['read']
+};
+
+function can(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Lowercased primary email of a passport profile, or null.
+function emailOf(profile) {
+  const email = profile && profile.emails && profile.emails[0] && profile.emails[0].value;
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+function domainOf(email) {
+  return String(email).split('@').pop().toLowerCase();
+}
+
+// Role a not-yet-known email signs up with, or null if it is not allowlisted.
+// `access` = { allowedDomains, defaultRole }, `adminEmails` from ADMIN_EMAILS.
+function signUpRole(email, access, adminEmails) {
+  if (!email) return null;
+  if (adminEmails.includes(email)) return 'admin';
+  if ((access.allowedDomains || []).includes(domainOf(email))) return access.defaultRole || 'viewer';
+  return null;
+}
+
+// The workspace a request works in: `requested` (X-Workspace-Id), else the account's first
+// one. null unless the account is a member of it.
+function resolveWorkspaceId(account, requested) {
+  const memberOf = account.workspaceIds || [];
+  const wanted = requested || memberOf[0];
+  return wanted && memberOf.includes(wanted) ? wanted : null;
+}
+
+// Whether `admin` may see and edit `user`: they share a workspace, or the user has none yet.
+function sharesWorkspace(admin, user) {
+  const ids = user.workspaceIds || [];
+  return ids.length === 0 || ids.some(id => (admin.workspaceIds || []).includes(id));
+}
+
+// `user` as `admin` sees it: memberships of other workspaces are left out.
+function visibleMemberships(admin, user) {
+  return { ...user, workspaceIds: (user.workspaceIds || []).filter(id => (admin.workspaceIds || []).includes(id)) };
+}
+
+// The memberships `user` (null for a new one) ends up with when `admin` sets them to
+// `requested`: workspaces the admin is not in are kept as they are and may not be added.
+// Returns { workspaceIds } or { forbidden: [ids the admin is not a member of] }.
+function changeMemberships(admin, user, requested) {
+  const managed = admin.workspaceIds || [];
+  const forbidden = requested.filter(id => !managed.includes(id));
+  if (forbidden.length) return { forbidden };
+  const kept = ((user && user.workspaceIds) || []).filter(id => !managed.includes(id));
+  return { workspaceIds: [...kept, ...new Set(requested)] };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  can,
+  emailOf,
+  signUpRole,
+  resolveWorkspaceId,
+  sharesWorkspace,
+  visibleMemberships,
+  changeMemberships
+};
@@ -0,0 +1,31 @@
+// lib/apiKeys.js
+// Workspace API keys for server-to-server calls (`Authorization: Bearer <key>`).
+//
+//   customers:write   POST /api/customers
+//   orders:write      POST /api/orders
+//   receipts:write    POST /api/delivery-receipt (instead of a vendor signature)
+//
+// Keys look like `xk_<prefix>_<secret>`. Only a SHA-256 hash is stored; the key itself is
+// shown once when it is created or rotated, and the prefix identifies it in the UI.
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = ['customers:write', 'orders:write', 'receipts:write'];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// A new key: { key, prefix, hash }.
+function generateKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `xk_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix, hash: hashKey(key) };
+}
+
+// The token of an `Authorization: Bearer ...` header, or null.
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+module.exports = { API_KEY_SCOPES, hashKey, generateKey, bearerToken };
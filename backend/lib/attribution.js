@@ -0,0 +1,56 @@
+// lib/attribution.js
+// Revenue attribution: links an order to the campaign messages the customer received
+// in the `windowDays` before it.
+//
+//   last_touch   the most recent message in the window gets the whole order
+//   first_touch  the earliest message in the window gets the whole order
+//
+// A message counts as received once it was sent (SENT or any later delivery status);
+// its touch time is when it was sent.
+
+const RECEIVED = ['SENT', 'DELIVERED', 'OPENED', 'CLICKED'];
+const DAY = 24 * 60 * 60 * 1000;
+
+function sentAt(log) {
+  const sent = (log.history || []).find(h => h.status === 'SENT');
+  return new Date(sent ? sent.at : log.timestamp).getTime();
+}
+
+function touch(log, at) {
+  return { campaignId: log.campaignId, messageId: log.id, sentAt: new Date(at).toISOString() };
+}
+
+// `logs` are the customer's communication log entries. Returns the attribution stored on the order.
+function attributeOrder(order, logs, { windowDays }) {
+  const orderAt = new Date(order.date).getTime();
+  const touches = logs
+    .filter(l => RECEIVED.includes(l.status))
+    .map(l => ({ log: l, at: sentAt(l) }))
+    .filter(t => t.at <= orderAt && orderAt - t.at <= windowDays * DAY)
+    .sort((a, b) => a.at - b.at);
+  const first = touches[0];
+  const last = touches[touches.length - 1];
+  return {
+    window_days: windowDays,
+    first_touch: first ? touch(first.log, first.at) : null,
+    last_touch: last ? touch(last.log, last.at) : null
+  };
+}
+
+// Attributed orders, revenue and conversion rate (converted customers / customers the
+// campaign reached) for one campaign under each model.
+function attributionSummary(campaignId, orders, reachedCustomers) {
+  const summary = {};
+  ['last_touch', 'first_touch'].forEach(model => {
+    const attributed = orders.filter(o => o.attribution && o.attribution[model] && o.attribution[model].campaignId === campaignId);
+    const customers = new Set(attributed.map(o => o.customer_email));
+    summary[model] = {
+      orders: attributed.length,
+      revenue: Number(attributed.reduce((sum, o) => sum + Number(o.amount || 0), 0).toFixed(2)),
+      conversion_rate: reachedCustomers > 0 ? Math.round((customers.size / reachedCustomers) * 10000) / 10000 : null
+    };
+  });
+  return summary;
+}
+
+module.exports = { attributeOrder, attributionSummary };
@@ -0,0 +1,98 @@
+// lib/campaignStats.js
+// Campaign analytics aggregated from communication log entries.
+//
+// A message counts towards every stage it has reached: an OPENED message was also
+// sent and delivered, a BOUNCED one was sent but not delivered. Entries that were
+// re-sent (`retriedBy`) are skipped, so the audience is counted once per run.
+// Orders attributed to the campaign (see lib/attribution.js) add revenue figures.
+const { attributionSummary } = require('./attribution');
+
+const REACHED = {
+  sent: ['SENT', 'DELIVERED', 'OPENED', 'CLICKED', 'BOUNCED'],
+  delivered: ['DELIVERED', 'OPENED', 'CLICKED'],
+  opened: ['OPENED', 'CLICKED'],
+  clicked: ['CLICKED'],
+  failed: ['FAILED'],
+  bounced: ['BOUNCED'],
+  queued: ['QUEUED'],
+  cancelled: ['CANCELLED'],
+  suppressed: ['SUPPRESSED']
+};
+// History events shown in the time series (QUEUED is bookkeeping, not a delivery event).
+const EVENT_STATUSES = ['SENT', 'DELIVERED', 'OPENED', 'CLICKED', 'FAILED', 'BOUNCED'];
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const MAX_HOUR_BUCKETS = 24 * 31;
+
+function ratio(a, b) {
+  return b > 0 ? Math.round((a / b) * 10000) / 10000 : null;
+}
+
+function countLogs(logs) {
+  const current = logs.filter(l => !l.retriedBy);
+  const counts = { audience: current.length };
+  Object.entries(REACHED).forEach(([key, statuses]) => {
+    counts[key] = current.filter(l => statuses.includes(l.status)).length;
+  });
+  return counts;
+}
+
+// delivery = delivered / sent, open = opened / delivered, click = clicked / delivered,
+// click_to_open = clicked / opened, failure = (failed + bounced) / messages not suppressed
+function ratesFor(counts) {
+  return {
+    delivery_rate: ratio(counts.delivered, counts.sent),
+    open_rate: ratio(counts.opened, counts.delivered),
+    click_rate: ratio(counts.clicked, counts.delivered),
+    click_to_open_rate: ratio(counts.clicked, counts.opened),
+    failure_rate: ratio(counts.failed + counts.bounced, counts.audience - counts.suppressed)
+  };
+}
+
+// Delivery events per hour or day. With `interval` 'auto', hours are used for spans up to
+// three days; spans longer than a month always use days. Buckets are aligned to UTC.
+function timeSeries(logs, interval = 'auto') {
+  const events = [];
+  // entries logged before status history existed count as one event at their timestamp
+  logs.forEach(l => (l.history || [{ status: l.status, at: l.timestamp }]).forEach(h => {
+    if (EVENT_STATUSES.includes(h.status)) events.push({ status: h.status, at: new Date(h.at).getTime() });
+  }));
+  if (events.length === 0) return { interval: interval === 'day' ? 'day' : 'hour', buckets: [] };
+
+  const first = events.reduce((min, e) => Math.min(min, e.at), Infinity);
+  const last = events.reduce((max, e) => Math.max(max, e.at), -Infinity);
+  const span = last - first;
+  const unit = interval === 'day' || (interval === 'auto' && span > 3 * DAY) || span > MAX_HOUR_BUCKETS * HOUR ? 'day' : 'hour';
+  const size = unit === 'day' ? DAY : HOUR;
+  const start = Math.floor(first / size) * size;
+  const buckets = [];
+  for (let t = start; t <= last; t += size) {
+    buckets.push({ t: new Date(t).toISOString(), ...Object.fromEntries(EVENT_STATUSES.map(s => [s, 0])) });
+  }
+  events.forEach(e => {
+    buckets[Math.floor((e.at - start) / size)][e.status]++;
+  });
+  return { interval: unit, buckets };
+}
+
+function summarizeCampaign(campaign, logs, orders = []) {
+  const counts = countLogs(logs);
+  const reached = new Set(logs.filter(l => !l.retriedBy && REACHED.sent.includes(l.status)).map(l => l.customer_email));
+  return {
+    campaignId: campaign.id,
+    name: campaign.name,
+    channel: campaign.channel || 'email',
+    status: campaign.status,
+    sentAt: campaign.sentAt || null,
+    runs: new Set(logs.map(l => l.runId || null)).size,
+    counts,
+    rates: ratesFor(counts),
+    attribution: attributionSummary(campaign.id, orders, reached.size)
+  };
+}
+
+function campaignStats(campaign, logs, orders, { interval } = {}) {
+  return { ...summarizeCampaign(campaign, logs, orders), timeseries: timeSeries(logs, interval) };
+}
+
+module.exports = { campaignStats, summarizeCampaign };
@@ -0,0 +1,59 @@
+// lib/consent.js
+// Who may be messaged: per-channel consent on the customer, signed unsubscribe tokens,
+// and the address-level suppression list.
+//
+//   customer.consent = { email: false, sms: true }   a missing channel counts as consented
+//   suppressions     = addresses (email or E.164 phone) that must never be messaged again,
+//                      e.g. after a bounce or a spam complaint; they apply to every channel
+//
+// Unsubscribe tokens are `<base64url(customerId:channel)>.<hmac>`, so the public
+// unsubscribe endpoint needs no login and a token can't be forged for another customer.
+const crypto = require('crypto');
+const { normalizePhone } = require('./identity');
+
+const SUPPRESSION_REASONS = ['BOUNCE', 'COMPLAINT', 'MANUAL'];
+
+function createUnsubscribeTokens(secret) {
+  const mac = payload => crypto.createHmac('sha256', secret).update(payload).digest('base64url').slice(0, 32);
+  return {
+    sign(customerId, channel) {
+      const payload = Buffer.from(`${customerId}:${channel}`).toString('base64url');
+      return `${payload}.${mac(payload)}`;
+    },
+    // Returns { customerId, channel } or null.
+    verify(token) {
+      const [payload, sig] = String(token || '').split('.');
+      if (!payload || !sig) return null;
+      const expected = Buffer.from(mac(payload));
+      const given = Buffer.from(sig);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+      const [customerId, channel] = Buffer.from(payload, 'base64url').toString().split(':');
+      return customerId && channel ? { customerId, channel } : null;
+    }
+  };
+}
+
+// Emails are compared lowercased, phones in E.164.
+function normalizeAddress(address) {
+  const text = String(address || '').trim();
+  if (text.includes('@')) return text.toLowerCase();
+  return normalizePhone(text) || text;
+}
+
+function hasConsent(customer, channel) {
+  return !(customer.consent && customer.consent[channel] === false);
+}
+
+// Why `customer` must not get a `channel` message at `address`, or null if they may.
+// `suppression` is the suppression list entry for the address, if any.
+function suppressionReason(customer, channel, suppression) {
+  if (!hasConsent(customer, channel)) {
+    return { code: 'NO_CONSENT', message: `Customer has opted out of ${channel}` };
+  }
+  if (suppression) {
+    return { code: 'SUPPRESSED_ADDRESS', message: `${suppression.address} is on the suppression list (${suppression.reason})` };
+  }
+  return null;
+}
+
+module.exports = { SUPPRESSION_REASONS, createUnsubscribeTokens, normalizeAddress, hasConsent, suppressionReason };
@@ -0,0 +1,93 @@
+// lib/customerStats.js
+// Behavioural attributes derived from orders, attached to customers as `stats`
+// so segment rules (lib/segmentRules.js) and the UI can use them:
+//   order_count, order_total, avg_order_value, first_order_date, last_order_date,
+//   days_since_last_order, skus [{ sku, last_purchased }], rfm { recency, frequency, monetary, score }
+// RFM scores are 1-5 quintiles across customers with at least one order (5 = best);
+// customers without orders get null scores.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function emptyStats() {
+  return {
+    order_count: 0,
+    order_total: 0,
+    avg_order_value: 0,
+    first_order_date: null,
+    last_order_date: null,
+    days_since_last_order: null,
+    skus: [],
+    rfm: { recency: null, frequency: null, monetary: null, score: null }
+  };
+}
+
+// Quintile score for each value: 1 for the lowest fifth, 5 for the highest.
+// Equal values share the score of their first occurrence.
+function quintiles(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const firstRank = new Map();
+  sorted.forEach((v, i) => { if (!firstRank.has(v)) firstRank.set(v, i); });
+  return values.map(v => Math.min(5, Math.floor((firstRank.get(v) / sorted.length) * 5) + 1));
+}
+
+// Returns Map<lowercased email, stats> for every customer email that has orders.
+function computeOrderStats(orders, now = Date.now()) {
+  const byEmail = new Map();
+  orders.forEach(o => {
+    const email = String(o.customer_email || '').toLowerCase();
+    if (!email) return;
+    const t = new Date(o.date).getTime();
+    if (Number.isNaN(t)) return;
+    if (!byEmail.has(email)) byEmail.set(email, { order_count: 0, order_total: 0, skuMap: new Map(), first: t, last: t });
+    const s = byEmail.get(email);
+    s.order_count++;
+    s.order_total += Number(o.amount || 0);
+    s.first = Math.min(s.first, t);
+    s.last = Math.max(s.last, t);
+    (o.items || []).forEach(it => {
+      if (!it || !it.sku) return;
+      s.skuMap.set(it.sku, Math.max(s.skuMap.get(it.sku) || 0, t));
+    });
+  });
+
+  const entries = [...byEmail.entries()];
+  entries.forEach(([, s]) => {
+    s.order_total = Number(s.order_total.toFixed(2));
+    s.avg_order_value = Number((s.order_total / s.order_count).toFixed(2));
+    s.first_order_date = new Date(s.first).toISOString();
+    s.last_order_date = new Date(s.last).toISOString();
+    s.days_since_last_order = Math.max(0, Math.floor((now - s.last) / DAY_MS));
+    s.skus = [...s.skuMap.entries()].map(([sku, t]) => ({ sku, last_purchased: new Date(t).toISOString() }));
+  });
+
+  // Recency is scored on negated days so that recent buyers get 5.
+  const recency = quintiles(entries.map(([, s]) => -s.days_since_last_order));
+  const frequency = quintiles(entries.map(([, s]) => s.order_count));
+  const monetary = quintiles(entries.map(([, s]) => s.order_total));
+  const result = new Map();
+  entries.forEach(([email, s], i) => {
+    result.set(email, {
+      order_count: s.order_count,
+      order_total: s.order_total,
+      avg_order_value: s.avg_order_value,
+      first_order_date: s.first_order_date,
+      last_order_date: s.last_order_date,
+      days_since_last_order: s.days_since_last_order,
+      skus: s.skus,
+      rfm: {
+        recency: recency[i],
+        frequency: frequency[i],
+        monetary: monetary[i],
+        score: `${recency[i]}${frequency[i]}${monetary[i]}`
+      }
+    });
+  });
+  return result;
+}
+
+// Returns copies of `customers` with a `stats` object attached.
+function withOrderStats(customers, orders, now = Date.now()) {
+  const stats = computeOrderStats(orders, now);
+  return customers.map(c => ({ ...c, stats: stats.get(String(c.email || '').toLowerCase()) || emptyStats() }));
+}
+
+module.exports = { computeOrderStats, withOrderStats };
@@ -0,0 +1,73 @@
+// lib/deliveryStatus.js
+// Delivery status state machine for communication log entries.
+//
+//   QUEUED -> SENT -> DELIVERED -> OPENED -> CLICKED
+//   QUEUED / SENT -> FAILED        (the vendor refused or never took the message)
+//   SENT / DELIVERED -> BOUNCED    (the recipient's server returned it)
+//   QUEUED -> CANCELLED            (the campaign was cancelled before it went out)
+//   QUEUED -> SUPPRESSED           (no consent or a suppressed address; also logged directly at send time)
+//
+// Steps may be skipped (an OPENED receipt can arrive when DELIVERED was lost) but
+// never reversed, so late or out-of-order receipts can't move a message backwards.
+// CLICKED, FAILED, BOUNCED, CANCELLED and SUPPRESSED are final.
+
+const PROGRESS = ['QUEUED', 'SENT', 'DELIVERED', 'OPENED', 'CLICKED'];
+const STATUSES = [...PROGRESS, 'FAILED', 'BOUNCED', 'CANCELLED', 'SUPPRESSED'];
+// Statuses a vendor may report through /api/delivery-receipt. COMPLAINED (a spam
+// complaint) is not a delivery status: it suppresses the address and is only kept in history.
+const RECEIPT_STATUSES = ['DELIVERED', 'OPENED', 'CLICKED', 'FAILED', 'BOUNCED', 'COMPLAINED'];
+
+const TERMINAL_FROM = {
+  FAILED: ['QUEUED', 'SENT'],
+  BOUNCED: ['SENT', 'DELIVERED'],
+  CANCELLED: ['QUEUED'],
+  SUPPRESSED: ['QUEUED']
+};
+
+function canTransition(from, to) {
+  if (!STATUSES.includes(to)) return false;
+  if (!from) return true;
+  if (TERMINAL_FROM[to]) return TERMINAL_FROM[to].includes(from);
+  const a = PROGRESS.indexOf(from);
+  const b = PROGRESS.indexOf(to);
+  return a !== -1 && b > a;
+}
+
+// Returns the changes to apply to `entry` for a status event, or null if the event
+// is a duplicate (same idempotency key already applied) or an illegal transition.
+// `event` = { status, at, source, key? }; the result appends it to `entry.history`
+// and remembers its key in `entry.receiptKeys`.
+function transition(entry, event) {
+  const keys = entry.receiptKeys || [];
+  if (event.key && keys.includes(event.key)) return { duplicate: true, changes: null };
+  if (!canTransition(entry.status, event.status)) return { duplicate: false, changes: null };
+
+  const at = event.at || new Date().toISOString();
+  const changes = {
+    status: event.status,
+    updatedAt: at,
+    history: [...(entry.history || []), { status: event.status, at, source: event.source }],
+    receiptKeys: event.key ? [...keys, event.key] : keys
+  };
+  if (event.status === 'DELIVERED') changes.deliveredAt = at;
+  return { duplicate: false, changes };
+}
+
+// Progress counters for one campaign run. Entries that were re-sent (`retriedBy`) are
+// left out so `total` stays the audience size; `retrying` are QUEUED entries that
+// already had a failed attempt, `deferred` ones held back by the delivery rules.
+function summarize(logs) {
+  const counts = { total: 0, queued: 0, retrying: 0, deferred: 0, sent: 0, failed: 0, cancelled: 0, suppressed: 0 };
+  logs.filter(l => !l.retriedBy).forEach(l => {
+    counts.total++;
+    if (l.status === 'QUEUED' && l.deferredUntil) counts.deferred++;
+    else if (l.status === 'QUEUED') counts[l.attempts ? 'retrying' : 'queued']++;
+    else if (l.status === 'FAILED' || l.status === 'BOUNCED') counts.failed++;
+    else if (l.status === 'CANCELLED') counts.cancelled++;
+    else if (l.status === 'SUPPRESSED') counts.suppressed++;
+    else counts.sent++;
+  });
+  return counts;
+}
+
+module.exports = { STATUSES, RECEIPT_STATUSES, canTransition, transition, summarize };
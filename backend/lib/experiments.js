@@ -0,0 +1,150 @@
+// lib/experiments.js
+// A/B message variants and holdout groups.
+//
+// A campaign may carry `variants` ([{ key, message, subject?, weight }]) and a
+// `holdoutPercent`. Every recipient is assigned by hashing campaign id + email, so the
+// same customer always lands in the same group: first the holdout share is cut off
+// (those customers get nothing), the rest is split across variants by weight.
+const crypto = require('crypto');
+
+const HOLDOUT = 'HOLDOUT';
+// Below this many recipients per group a difference is reported as insufficient data.
+const MIN_SAMPLE = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Campaigns created before variants existed have a single implicit variant A.
+function variantsOf(campaign) {
+  if (campaign.variants && campaign.variants.length) return campaign.variants;
+  return [{ key: 'A', message: campaign.message, subject: campaign.subject || null, weight: 100 }];
+}
+
+// Deterministic number in [0, 1) for a campaign/customer pair.
+function bucketOf(campaignId, email) {
+  const hex = crypto.createHash('sha256').update(`${campaignId}:${String(email).toLowerCase()}`).digest('hex');
+  return parseInt(hex.slice(0, 8), 16) / 0x100000000;
+}
+
+// Returns the variant object, or null for the holdout group.
+function assignVariant(campaign, email) {
+  const holdout = (campaign.holdoutPercent || 0) / 100;
+  const point = bucketOf(campaign.id, email);
+  if (point < holdout) return null;
+  const variants = variantsOf(campaign);
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+  // rescale the non-holdout part of [0, 1) onto the variant weights
+  let target = ((point - holdout) / (1 - holdout)) * total;
+  for (const v of variants) {
+    if (target < v.weight) return v;
+    target -= v.weight;
+  }
+  return variants[variants.length - 1];
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7).
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-proportion z-test of x1/n1 against the baseline x2/n2, two-sided, 95% level.
+function compareRates(x1, n1, x2, n2) {
+  if (n1 < MIN_SAMPLE || n2 < MIN_SAMPLE) return { lift: null, z: null, p_value: null, significance: 'insufficient_data' };
+  const p1 = x1 / n1;
+  const p2 = x2 / n2;
+  const pooled = (x1 + x2) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  const lift = p2 > 0 ? Math.round(((p1 - p2) / p2) * 10000) / 10000 : null;
+  if (se === 0) return { lift, z: 0, p_value: 1, significance: 'not_significant' };
+  const z = (p1 - p2) / se;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  return {
+    lift,
+    z: Math.round(z * 1000) / 1000,
+    p_value: Math.round(pValue * 10000) / 10000,
+    significance: pValue < 0.05 ? 'significant' : 'not_significant'
+  };
+}
+
+function rate(a, b) {
+  return b > 0 ? Math.round((a / b) * 10000) / 10000 : null;
+}
+
+const SENT = ['SENT', 'DELIVERED', 'OPENED', 'CLICKED', 'BOUNCED'];
+const DELIVERED = ['DELIVERED', 'OPENED', 'CLICKED'];
+
+// Per-variant results for a campaign.
+//   logs      the campaign's communication log entries (each carries `variant`)
+//   orders    orders last-touch attributed to the campaign
+//   holdouts  [{ customer_email, assignedAt, orders }] with each member's orders after assignment
+// Conversions count customers with an attributed order (holdout: any order within
+// `windowDays` of assignment). Conversion is compared against the holdout when there is
+// one, otherwise against the first variant; click rate always against the first variant.
+function experimentResults(campaign, logs, orders, holdouts, { windowDays }) {
+  // suppressed recipients were never assigned a variant
+  const current = logs.filter(l => !l.retriedBy && l.status !== 'SUPPRESSED');
+  const variantOfMessage = new Map(current.map(l => [l.id, l.variant || 'A']));
+  const converted = {};
+  const revenue = {};
+  orders.forEach(o => {
+    const key = o.attribution && o.attribution.last_touch && variantOfMessage.get(o.attribution.last_touch.messageId);
+    if (!key) return;
+    (converted[key] = converted[key] || new Set()).add(o.customer_email);
+    revenue[key] = (revenue[key] || 0) + Number(o.amount || 0);
+  });
+
+  const rows = variantsOf(campaign).map(v => {
+    const mine = current.filter(l => (l.variant || 'A') === v.key);
+    const reached = new Set(mine.filter(l => SENT.includes(l.status)).map(l => l.customer_email));
+    const delivered = mine.filter(l => DELIVERED.includes(l.status)).length;
+    const clicked = mine.filter(l => l.status === 'CLICKED').length;
+    const conversions = converted[v.key] ? converted[v.key].size : 0;
+    return {
+      key: v.key,
+      weight: v.weight,
+      message: v.message,
+      recipients: mine.length,
+      sent: mine.filter(l => SENT.includes(l.status)).length,
+      delivered,
+      clicked,
+      failed: mine.filter(l => l.status === 'FAILED').length,
+      delivery_rate: rate(delivered, mine.filter(l => SENT.includes(l.status)).length),
+      click_rate: rate(clicked, delivered),
+      reached: reached.size,
+      conversions,
+      conversion_rate: rate(conversions, reached.size),
+      revenue: Number((revenue[v.key] || 0).toFixed(2))
+    };
+  });
+
+  let holdout = null;
+  if (holdouts.length) {
+    const members = new Set(holdouts.map(h => h.customer_email));
+    const conversions = holdouts.filter(h => h.orders.some(o => {
+      const gap = new Date(o.date).getTime() - new Date(h.assignedAt).getTime();
+      return gap >= 0 && gap <= windowDays * DAY;
+    })).map(h => h.customer_email);
+    holdout = {
+      key: HOLDOUT,
+      recipients: members.size,
+      conversions: new Set(conversions).size,
+      conversion_rate: rate(new Set(conversions).size, members.size)
+    };
+  }
+
+  const base = rows[0];
+  const conversionBase = holdout
+    ? { x: holdout.conversions, n: holdout.recipients, key: HOLDOUT }
+    : { x: base.conversions, n: base.reached, key: base.key };
+  rows.forEach(r => {
+    r.conversion_vs = conversionBase.key === r.key ? null
+      : { baseline: conversionBase.key, ...compareRates(r.conversions, r.reached, conversionBase.x, conversionBase.n) };
+    r.click_vs = r === base ? null
+      : { baseline: base.key, ...compareRates(r.clicked, r.delivered, base.clicked, base.delivered) };
+  });
+
+  return { holdoutPercent: campaign.holdoutPercent || 0, variants: rows, holdout };
+}
+
+module.exports = { HOLDOUT, variantsOf, assignVariant, experimentResults, compareRates };
@@ -0,0 +1,80 @@
+// lib/identity.js
+// Customer identity helpers: phone normalization, metadata merging and the merge
+// of two customer records.
+//
+// Customers are matched on `external_id`, then `email`, then `phone` (E.164), so all
+// three are kept unique across customers.
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_PHONE_COUNTRY_CODE || '91').replace(/\D/g, '');
+const E164_RE = /^\+[1-9][0-9]{7,14}$/;
+
+// "+1 (415) 555-0100" -> "+14155550100", "0044 20 7946 0958" -> "+442079460958",
+// "098765 43210" -> "+919876543210" (national numbers get DEFAULT_PHONE_COUNTRY_CODE,
+// dropping the trunk 0). Returns null when the result is not a valid E.164 number.
+function normalizePhone(raw, countryCode = DEFAULT_COUNTRY_CODE) {
+  if (raw === undefined || raw === null) return null;
+  const text = String(raw).trim();
+  if (!/^[+0-9\s().-]+$/.test(text)) return null;
+  let digits = text.replace(/\D/g, '');
+  if (text.startsWith('+')) digits = `+${digits}`;
+  else if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+  else digits = `+${countryCode}${digits.replace(/^0+/, '')}`;
+  return E164_RE.test(digits) ? digits : null;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Nested objects are merged key by key; anything else in `patch` (arrays included) replaces the old value.
+function deepMerge(base, patch) {
+  const out = { ...(isPlainObject(base) ? base : {}) };
+  Object.entries(patch || {}).forEach(([key, value]) => {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? deepMerge(out[key], value) : value;
+  });
+  return out;
+}
+
+function laterDate(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return new Date(a) >= new Date(b) ? a : b;
+}
+
+// Per-channel consent of two records ({ email: false, sms: true }); an opt-out on either side wins.
+function mergeConsent(a, b) {
+  const out = {};
+  [a, b].forEach(consent => Object.entries(consent || {}).forEach(([channel, granted]) => {
+    out[channel] = out[channel] !== false && granted !== false;
+  }));
+  return out;
+}
+
+// Both consent histories, oldest change first.
+function mergeConsentLogs(a, b) {
+  return [...(a || []), ...(b || [])].sort((x, y) => new Date(x.at) - new Date(y.at));
+}
+
+// The record that survives merging `source` into `target`: target values win, blanks are
+// filled from the source, metadata is deep-merged (target wins on conflicts), the order
+// totals are combined and consent keeps every opt-out of either record.
+function mergeCustomers(target, source, mergedAt) {
+  return {
+    name: target.name || source.name,
+    phone: target.phone || source.phone || null,
+    external_id: target.external_id || source.external_id || null,
+    timezone: target.timezone || source.timezone || null,
+    total_spent: Number((Number(target.total_spent || 0) + Number(source.total_spent || 0)).toFixed(2)),
+    last_order_date: laterDate(target.last_order_date, source.last_order_date),
+    metadata: deepMerge(source.metadata, target.metadata),
+    consent: mergeConsent(target.consent, source.consent),
+    consentLog: mergeConsentLogs(target.consentLog, source.consentLog),
+    mergedFrom: [
+      ...(target.mergedFrom || []),
+      { id: source.id, email: source.email, phone: source.phone || null, external_id: source.external_id || null, mergedAt },
+      ...(source.mergedFrom || [])
+    ],
+    updatedAt: mergedAt
+  };
+}
+
+module.exports = { normalizePhone, deepMerge, mergeCustomers };
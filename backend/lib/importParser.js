@@ -0,0 +1,141 @@
+// lib/importParser.js
+// Streaming row readers for bulk imports (CSV and NDJSON) and column mapping.
+//
+// readRows(stream, format) is an async generator yielding one item per data row:
+//   { row, record }   record = { column: value } (CSV, keyed by the header line) or the parsed object (NDJSON)
+//   { row, error }    the row could not be read (bad JSON, wrong number of CSV columns)
+// `row` counts data rows from 1 (the CSV header is not a row); blank lines are skipped.
+// Input is consumed chunk by chunk, so files of any size are never held in memory.
+const FORMATS = ['csv', 'ndjson'];
+
+// RFC 4180 CSV: comma separated, fields may be quoted, "" escapes a quote, quoted
+// fields may span lines. Returns a push-style parser: feed(text) / end(), each
+// returning the complete records (arrays of strings) found so far.
+function createCsvParser() {
+  let field = '';
+  let record = [];
+  let quoted = false;
+  let afterQuote = false;
+  let started = false;
+
+  function endRecord(out) {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') out.push(record);
+    field = '';
+    record = [];
+    started = false;
+  }
+
+  return {
+    feed(text) {
+      const out = [];
+      for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+          if (ch !== '"') field += ch;
+          else if (text[i + 1] === '"') { field += '"'; i++; }
+          else if (i + 1 === text.length) { quoted = false; afterQuote = true; }
+          else quoted = false;
+          continue;
+        }
+        if (afterQuote) {
+          // a chunk ended right after a closing quote: it may have been the first half of ""
+          afterQuote = false;
+          if (ch === '"') { field += '"'; quoted = true; continue; }
+        }
+        if (ch === '"' && !started) { quoted = true; started = true; }
+        else if (ch === ',') { record.push(field); field = ''; started = false; }
+        else if (ch === '\n') endRecord(out);
+        else if (ch !== '\r') { field += ch; started = true; }
+      }
+      return out;
+    },
+    end() {
+      const out = [];
+      if (field !== '' || record.length) endRecord(out);
+      return out;
+    }
+  };
+}
+
+async function* readCsv(stream) {
+  const parser = createCsvParser();
+  let header = null;
+  let row = 0;
+  function* toItems(records) {
+    for (const values of records) {
+      if (!header) {
+        header = values.map((h, i) => (i === 0 ? h.replace(/^\uFEFF/, '') : h).trim());
+        continue;
+      }
+      row++;
+      if (values.length !== header.length) {
+        yield { row, error: `Expected ${header.length} columns, got ${values.length}` };
+        continue;
+      }
+      const record = {};
+      header.forEach((h, i) => { record[h] = values[i]; });
+      yield { row, record };
+    }
+  }
+  for await (const chunk of stream) yield* toItems(parser.feed(chunk.toString()));
+  yield* toItems(parser.end());
+}
+
+async function* readNdjson(stream) {
+  let buffered = '';
+  let row = 0;
+  function* toItems(lines) {
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      row++;
+      try {
+        const record = JSON.parse(line);
+        if (!record || typeof record !== 'object' || Array.isArray(record)) throw new Error('not an object');
+        yield { row, record };
+      } catch (e) {
+        yield { row, error: `Invalid JSON object: ${e.message}` };
+      }
+    }
+  }
+  for await (const chunk of stream) {
+    const lines = (buffered + chunk.toString()).split('\n');
+    buffered = lines.pop();
+    yield* toItems(lines);
+  }
+  yield* toItems([buffered]);
+}
+
+// Multi-byte characters may straddle chunks, so decode the stream as UTF-8 text first.
+function readRows(stream, format) {
+  stream.setEncoding('utf8');
+  return format === 'csv' ? readCsv(stream) : readNdjson(stream);
+}
+
+// `mapping` is { field: sourceColumn }; fields without an entry are read from the
+// column of the same name. `metadata.<key>` fields build up the metadata object, and
+// blank values are left out so optional fields stay optional.
+function applyMapping(record, fields, mapping = {}) {
+  const out = {};
+  const set = (field, value) => {
+    if (value === undefined || value === null || value === '') return;
+    if (field.startsWith('metadata.')) {
+      out.metadata = out.metadata || {};
+      out.metadata[field.slice('metadata.'.length)] = value;
+    } else {
+      out[field] = value;
+    }
+  };
+  fields.forEach(field => set(field, record[mapping[field] || field]));
+  Object.keys(mapping).filter(f => f.startsWith('metadata.')).forEach(f => set(f, record[mapping[f]]));
+  // CSV cells are strings: a JSON array/object cell (e.g. order items) is parsed
+  Object.keys(out).forEach(key => {
+    const value = out[key];
+    if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+      try { out[key] = JSON.parse(value); } catch (e) { /* left as text; validation reports it */ }
+    }
+  });
+  return out;
+}
+
+module.exports = { FORMATS, readRows, applyMapping };
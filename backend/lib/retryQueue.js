@@ -0,0 +1,51 @@
+// lib/retryQueue.js
+// Retry queue with exponential backoff for failed deliveries.
+//
+// With REDIS_URL the jobs live in a Bull queue (`attempts` + exponential `backoff`),
+// so pending retries survive a restart. Without Redis the same schedule runs on
+// in-process timers, like the rest of the app's queue fallbacks.
+//
+// `handler(data, attempt)` performs one retry; throwing asks for another one after
+// the next backoff delay, up to `attempts` retries in total. The handler is
+// expected to settle the job itself on the last attempt (it is told the attempt number).
+const Queue = require('bull');
+
+function createRetryQueue(name, { redisUrl, attempts, delayMs, handler }) {
+  const backoff = attempt => delayMs * 2 ** (attempt - 1);
+  let bull = null;
+
+  if (redisUrl) {
+    try {
+      bull = new Queue(name, redisUrl);
+      bull.process(job => handler(job.data, job.attemptsMade + 1));
+      console.log(`Retry queue "${name}" using Bull`);
+    } catch (e) {
+      console.warn(`Failed to create Bull retry queue "${name}", retrying in-process:`, e && e.message ? e.message : e);
+      bull = null;
+    }
+  }
+
+  function runLocal(data, attempt) {
+    setTimeout(async () => {
+      try {
+        await handler(data, attempt);
+      } catch (e) {
+        if (attempt < attempts) runLocal(data, attempt + 1);
+        else console.error(`Retry queue "${name}": giving up after ${attempt} attempts`, e && e.message ? e.message : e);
+      }
+    }, backoff(attempt));
+  }
+
+  return {
+    driver: bull ? 'bull' : 'memory',
+    async add(data) {
+      if (bull) {
+        await bull.add(data, { attempts, backoff: { type: 'exponential', delay: delayMs }, delay: delayMs, removeOnComplete: true });
+      } else {
+        runLocal(data, 1);
+      }
+    }
+  };
+}
+
+module.exports = { createRetryQueue };
@@ -0,0 +1,102 @@
+// lib/scheduler.js
+// Persisted campaign schedules, polled on an interval (like the receipts batch).
+//
+// A schedule is stored in the `schedules` collection:
+//   { id, campaignId, type: 'once' | 'recurring', runAt?, cron?, timezone?,
+//     nextRunAt, status: 'ACTIVE' | 'DONE' | 'CANCELLED', runs, lastRunAt, lastResult }
+// Because every field lives in storage, pending runs survive a restart: the
+// first tick after boot picks up anything whose nextRunAt has passed.
+const cronParser = require('cron-parser');
+
+function nextCronRun(cron, timezone, from = new Date()) {
+  const options = { currentDate: from };
+  if (timezone) options.tz = timezone;
+  return cronParser.parseExpression(cron, options).next().toDate();
+}
+
+// Throws with a readable message if `cron` is not a valid 5-field expression or `timezone` is unknown.
+function validateCron(cron, timezone) {
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (e) {
+      throw new Error('Unknown timezone: ' + timezone);
+    }
+  }
+  if (String(cron).trim().split(/\s+/).length !== 5) {
+    throw new Error('cron must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+  try {
+    nextCronRun(cron, timezone);
+  } catch (e) {
+    throw new Error('Invalid cron expression: ' + (e && e.message ? e.message : e));
+  }
+}
+
+// Next `count` run times for a schedule, for display.
+function upcomingRuns(schedule, count = 3) {
+  if (schedule.status !== 'ACTIVE') return [];
+  if (schedule.type === 'once') return [schedule.runAt];
+  const runs = [];
+  let from = new Date(schedule.nextRunAt);
+  runs.push(from.toISOString());
+  while (runs.length < count) {
+    from = nextCronRun(schedule.cron, schedule.timezone, from);
+    runs.push(from.toISOString());
+  }
+  return runs;
+}
+
+// `runCampaign(campaignId)` queues the send and resolves to { audience_count, progress }.
+function createScheduler({ db, runCampaign, intervalMs = 15 * 1000 }) {
+  let ticking = false;
+  let timer = null;
+
+  async function runSchedule(schedule, now) {
+    // Claim the run before sending so an overlapping tick cannot fire it twice.
+    const next = schedule.type === 'recurring' ? nextCronRun(schedule.cron, schedule.timezone, now).toISOString() : null;
+    await db.schedules.update(schedule.id, {
+      nextRunAt: next,
+      status: next ? 'ACTIVE' : 'DONE',
+      lastRunAt: now.toISOString()
+    });
+    let lastResult;
+    try {
+      const result = await runCampaign(schedule.campaignId);
+      lastResult = { ok: true, audience_count: result.audience_count, queued: result.progress.queued };
+    } catch (e) {
+      console.error('scheduled run failed for campaign', schedule.campaignId, e && e.message ? e.message : e);
+      lastResult = { ok: false, error: e && e.message ? e.message : String(e) };
+    }
+    await db.schedules.update(schedule.id, current => ({ runs: (current.runs || 0) + 1, lastResult }));
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = new Date();
+      const due = (await db.schedules.findBy('status', 'ACTIVE'))
+        .filter(s => s.nextRunAt && new Date(s.nextRunAt).getTime() <= now.getTime());
+      for (const schedule of due) {
+        await runSchedule(schedule, now);
+      }
+    } catch (e) {
+      console.error('scheduler tick error', e && e.message ? e.message : e);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    tick,
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, intervalMs);
+      tick();
+      console.log(`Campaign scheduler started (every ${Math.round(intervalMs / 1000)}s).`);
+    }
+  };
+}
+
+module.exports = { createScheduler, nextCronRun, validateCron, upcomingRuns };
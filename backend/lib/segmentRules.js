@@ -0,0 +1,267 @@
+// lib/segmentRules.js
+// Segment rule trees: validation and evaluation against customer records.
+//
+// A rule tree is a group: { logic: 'AND' | 'OR', conditions: [node, ...] }
+// where each node is either a condition { field, op, value } or another group.
+// Segments saved before groups existed ({ conditions: [...], logic }) are
+// simply a one-level tree, so they evaluate unchanged.
+const Joi = require('joi');
+
+const MAX_DEPTH = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const stat = key => customer => (customer.stats ? customer.stats[key] : undefined);
+const rfm = key => customer => (customer.stats && customer.stats.rfm ? customer.stats.rfm[key] : undefined);
+
+// SKUs the customer bought, optionally limited to the last `within_days` days.
+function purchasedSkus(customer, cond, now) {
+  const skus = (customer.stats && customer.stats.skus) || [];
+  const cutoff = cond.within_days ? now - Number(cond.within_days) * DAY_MS : -Infinity;
+  return skus.filter(s => new Date(s.last_purchased).getTime() >= cutoff).map(s => s.sku);
+}
+
+// Built-in customer fields and how their values are compared.
+// Any `metadata.<key>` (dot paths allowed) is accepted too; its type is inferred per value.
+// Fields with `resolve` are computed from orders (customer.stats, see lib/customerStats.js).
+const FIELDS = {
+  total_spent: { type: 'number', label: 'Total spent' },
+  last_order_date: { type: 'date', label: 'Last order date' },
+  createdAt: { type: 'date', label: 'Customer since' },
+  email: { type: 'string', label: 'Email' },
+  name: { type: 'string', label: 'Name' },
+  phone: { type: 'string', label: 'Phone' },
+  order_count: { type: 'number', label: 'Order count', computed: true, resolve: stat('order_count') },
+  avg_order_value: { type: 'number', label: 'Average order value', computed: true, resolve: stat('avg_order_value') },
+  first_order_date: { type: 'date', label: 'First order date', computed: true, resolve: stat('first_order_date') },
+  days_since_last_order: { type: 'number', label: 'Days since last order', computed: true, resolve: stat('days_since_last_order') },
+  purchased_sku: { type: 'sku', label: 'Purchased SKU', computed: true, resolve: purchasedSkus },
+  rfm_recency: { type: 'number', label: 'RFM recency score (1-5)', computed: true, resolve: rfm('recency') },
+  rfm_frequency: { type: 'number', label: 'RFM frequency score (1-5)', computed: true, resolve: rfm('frequency') },
+  rfm_monetary: { type: 'number', label: 'RFM monetary score (1-5)', computed: true, resolve: rfm('monetary') },
+  rfm_score: { type: 'string', label: 'RFM segment code (e.g. 555)', computed: true, resolve: rfm('score') }
+};
+
+const OPERATORS = {
+  gt: { label: 'greater than', arity: 1 },
+  gte: { label: 'greater than or equal', arity: 1 },
+  lt: { label: 'less than', arity: 1 },
+  lte: { label: 'less than or equal', arity: 1 },
+  eq: { label: 'equals', arity: 1 },
+  neq: { label: 'does not equal', arity: 1 },
+  contains: { label: 'contains', arity: 1 },
+  starts_with: { label: 'starts with', arity: 1 },
+  in: { label: 'is one of', arity: 'list' },
+  between: { label: 'between', arity: 2 },
+  is_empty: { label: 'is empty', arity: 0 },
+  is_not_empty: { label: 'is not empty', arity: 0 },
+  older_than_days: { label: 'older than (days)', arity: 1 },
+  within_last_days: { label: 'within the last (days)', arity: 1 }
+};
+
+const METADATA_FIELD_RE = /^metadata\.[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+
+function isKnownField(field) {
+  return Object.prototype.hasOwnProperty.call(FIELDS, field) || METADATA_FIELD_RE.test(field);
+}
+
+const scalar = Joi.alternatives().try(Joi.number(), Joi.string().allow(''));
+
+const conditionSchema = Joi.object({
+  field: Joi.string().required().custom((v, helpers) => (
+    isKnownField(v) ? v : helpers.message(`"${v}" is not a known customer field or metadata.<key>`)
+  )),
+  op: Joi.string().valid(...Object.keys(OPERATORS)).required(),
+  value: Joi.when('op', {
+    switch: [
+      { is: Joi.valid('is_empty', 'is_not_empty'), then: Joi.any().strip() },
+      { is: 'between', then: Joi.alternatives().try(Joi.array().items(scalar).length(2), Joi.string().pattern(/,/)).required() },
+      { is: 'in', then: Joi.alternatives().try(Joi.array().items(scalar).min(1), Joi.string().min(1)).required() },
+      { is: Joi.valid('older_than_days', 'within_last_days'), then: Joi.number().min(0).required() }
+    ],
+    otherwise: scalar.required()
+  }),
+  // Only meaningful for purchased_sku: restricts matching to purchases in the last N days.
+  within_days: Joi.number().integer().min(1)
+});
+
+const groupSchema = Joi.object({
+  logic: Joi.string().valid('AND', 'OR').default('AND'),
+  conditions: Joi.array().items(Joi.alternatives().conditional(
+    Joi.object({ conditions: Joi.array().required() }).unknown(),
+    { then: Joi.link('#ruleGroup'), otherwise: conditionSchema }
+  )).default([])
+}).id('ruleGroup');
+
+// Root schema for anything carrying rules (segment bodies, preview requests).
+const segmentRulesSchema = groupSchema.custom((value, helpers) => {
+  if (depthOf(value) > MAX_DEPTH) return helpers.message(`rule groups can be nested at most ${MAX_DEPTH} levels deep`);
+  return value;
+});
+
+const segmentNameSchema = Joi.string().trim().min(1).required().label('name');
+
+// Segment bodies (create / update): { name, logic, conditions }.
+// The name is validated on its own: extending segmentRulesSchema with .keys() would make
+// Joi.link('#ruleGroup') resolve to the extended schema and require a name on every nested group.
+function validateSegment(body) {
+  const { name, ...rules } = body || {};
+  const named = segmentNameSchema.validate(name);
+  if (named.error) return { error: named.error };
+  const { error, value } = segmentRulesSchema.validate(rules);
+  if (error) return { error };
+  return { value: { ...value, name: named.value } };
+}
+
+function isGroup(node) {
+  return node && Array.isArray(node.conditions);
+}
+
+function depthOf(group) {
+  const childDepths = (group.conditions || []).filter(isGroup).map(depthOf);
+  return 1 + (childDepths.length ? Math.max(...childDepths) : 0);
+}
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function resolveField(customer, cond, now) {
+  const { field } = cond;
+  const def = Object.prototype.hasOwnProperty.call(FIELDS, field) ? FIELDS[field] : null;
+  if (def && def.resolve) return def.resolve(customer, cond, now);
+  if (field.startsWith('metadata.')) return getPath(customer.metadata || {}, field.slice('metadata.'.length));
+  if (field === 'total_spent') return Number(customer.total_spent || 0);
+  return customer[field];
+}
+
+function isEmptyValue(v) {
+  if (v === undefined || v === null) return true;
+  if (typeof v === 'string') return v.trim() === '';
+  if (Array.isArray(v)) return v.length === 0;
+  if (typeof v === 'object') return Object.keys(v).length === 0;
+  return false;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value).split(',').map(s => s.trim()).filter(s => s !== '');
+}
+
+function isNumeric(v) {
+  return typeof v === 'number' ? Number.isFinite(v) : (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v)));
+}
+
+function toTime(v) {
+  if (v === undefined || v === null || v === '') return NaN;
+  return new Date(v).getTime();
+}
+
+// Picks how to compare a resolved value: declared type for built-in fields,
+// inferred from the data for metadata keys.
+function comparisonType(field, raw, cond) {
+  if (FIELDS[field]) return FIELDS[field].type;
+  const sample = Array.isArray(cond.value) ? cond.value[0] : cond.value;
+  if (typeof raw === 'number' || (isNumeric(raw) && isNumeric(sample))) return 'number';
+  return 'string';
+}
+
+function normalize(type, v) {
+  if (type === 'number') return Number(v);
+  if (type === 'date') return toTime(v);
+  return String(v).toLowerCase();
+}
+
+function compare(op, left, right) {
+  switch (op) {
+    case 'gt': return left > right;
+    case 'gte': return left >= right;
+    case 'lt': return left < right;
+    case 'lte': return left <= right;
+    case 'eq': return left === right;
+    case 'neq': return left !== right;
+    default: return false;
+  }
+}
+
+function evaluateCondition(customer, cond, now) {
+  const raw = resolveField(customer, cond, now);
+  const { op } = cond;
+
+  if (op === 'is_empty') return isEmptyValue(raw);
+  if (op === 'is_not_empty') return !isEmptyValue(raw);
+  if (isEmptyValue(raw)) return op === 'neq';
+
+  if (op === 'older_than_days' || op === 'within_last_days') {
+    const t = toTime(raw);
+    if (Number.isNaN(t)) return false;
+    const cutoff = now - Number(cond.value) * DAY_MS;
+    return op === 'older_than_days' ? t < cutoff : t >= cutoff;
+  }
+
+  // Array values (metadata tags, purchased SKUs): contains / in / eq match any element.
+  if (Array.isArray(raw)) {
+    const items = raw.map(v => String(v).toLowerCase());
+    if (op === 'contains' || op === 'eq') return items.includes(String(cond.value).toLowerCase());
+    if (op === 'neq') return !items.includes(String(cond.value).toLowerCase());
+    if (op === 'in') return toList(cond.value).some(v => items.includes(String(v).toLowerCase()));
+    return false;
+  }
+
+  const type = comparisonType(cond.field, raw, cond);
+  const left = normalize(type, raw);
+  if (type !== 'string' && Number.isNaN(left)) return false;
+
+  switch (op) {
+    case 'contains': return String(raw).toLowerCase().includes(String(cond.value).toLowerCase());
+    case 'starts_with': return String(raw).toLowerCase().startsWith(String(cond.value).toLowerCase());
+    case 'in': return toList(cond.value).some(v => normalize(type, v) === left);
+    case 'between': {
+      const [min, max] = toList(cond.value).map(v => normalize(type, v));
+      return left >= min && left <= max;
+    }
+    default: {
+      const right = normalize(type, cond.value);
+      if (type !== 'string' && Number.isNaN(right)) return false;
+      return compare(op, left, right);
+    }
+  }
+}
+
+function evaluateNode(customer, node, now) {
+  if (isGroup(node)) {
+    const children = node.conditions;
+    if (children.length === 0) return true;
+    return node.logic === 'OR'
+      ? children.some(c => evaluateNode(customer, c, now))
+      : children.every(c => evaluateNode(customer, c, now));
+  }
+  return evaluateCondition(customer, node, now);
+}
+
+// `rules` is a segment (or any { logic, conditions } group). Computed fields need the
+// customer to carry `stats` (withOrderStats). `now` is injectable for relative dates.
+function matchesSegment(customer, rules, now = Date.now()) {
+  return evaluateNode(customer, { logic: rules.logic || 'AND', conditions: rules.conditions || [] }, now);
+}
+
+function describeFields() {
+  return {
+    fields: Object.entries(FIELDS).map(([name, def]) => ({
+      name,
+      type: def.type,
+      label: def.label,
+      computed: Boolean(def.computed)
+    })),
+    operators: Object.entries(OPERATORS).map(([op, def]) => ({ op, ...def }))
+  };
+}
+
+module.exports = {
+  FIELDS,
+  OPERATORS,
+  MAX_DEPTH,
+  segmentRulesSchema,
+  validateSegment,
+  matchesSegment,
+  describeFields
+};
@@ -0,0 +1,66 @@
+// lib/sendQueue.js
+// Job queue for campaign sends, plus a per-channel throttle.
+//
+// With REDIS_URL each queue is a Bull queue processed one job at a time, so jobs
+// survive a restart and several backends share the work. Without Redis jobs run
+// one after another from an in-process FIFO (lost on restart; the caller re-enqueues
+// unfinished work on boot).
+const Queue = require('bull');
+
+function createSendQueue(name, { redisUrl, handler }) {
+  let bull = null;
+  if (redisUrl) {
+    try {
+      bull = new Queue(name, redisUrl);
+      bull.process(job => handler(job.data));
+      console.log(`Send queue "${name}" using Bull`);
+    } catch (e) {
+      console.warn(`Failed to create Bull send queue "${name}", using in-process queue:`, e && e.message ? e.message : e);
+      bull = null;
+    }
+  }
+
+  const pending = [];
+  let running = false;
+
+  async function drainLocal() {
+    if (running) return;
+    running = true;
+    while (pending.length) {
+      const data = pending.shift();
+      try {
+        await handler(data);
+      } catch (e) {
+        console.error(`Send queue "${name}" job error`, e && e.message ? e.message : e);
+      }
+    }
+    running = false;
+  }
+
+  return {
+    driver: bull ? 'bull' : 'memory',
+    async add(data) {
+      if (bull) {
+        await bull.add(data, { removeOnComplete: true });
+      } else {
+        pending.push(data);
+        setImmediate(drainLocal);
+      }
+    }
+  };
+}
+
+// Returns an async function that resolves once the caller may send the next message,
+// spacing calls `1000 / perSecond` ms apart. Limits are per backend process.
+function createThrottle(perSecond) {
+  const gap = perSecond > 0 ? 1000 / perSecond : 0;
+  let next = 0;
+  return function throttle() {
+    const now = Date.now();
+    const at = Math.max(now, next);
+    next = at + gap;
+    return at > now ? new Promise(resolve => setTimeout(resolve, at - now)) : Promise.resolve();
+  };
+}
+
+module.exports = { createSendQueue, createThrottle };
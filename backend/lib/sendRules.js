@@ -0,0 +1,97 @@
+// lib/sendRules.js
+// Workspace delivery rules, checked against the communication log right before each
+// message goes out:
+//
+//   frequencyCap = { maxMessages: 3, periodDays: 7 }   at most 3 messages per customer in any
+//                                                      rolling 7 days, across campaigns and channels
+//   quietHours   = { start: '21:00', end: '08:00' }    nothing is sent between these local times
+//                                                      (a window may wrap midnight)
+//
+// Local time is the customer's `timezone` (or `metadata.timezone`), else `defaultTimezone`.
+// A message that breaks a rule is not dropped: deferral() says until when it has to wait.
+const DEFAULT_RULES = { frequencyCap: null, quietHours: null, defaultTimezone: 'UTC' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Statuses that mean the message reached the vendor, i.e. counts towards the cap.
+const SENT_STATUSES = ['SENT', 'DELIVERED', 'OPENED', 'CLICKED', 'BOUNCED'];
+
+function isTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function timezoneOf(customer, rules) {
+  const own = customer.timezone || (customer.metadata && customer.metadata.timezone);
+  return own && isTimezone(own) ? own : rules.defaultTimezone || 'UTC';
+}
+
+// "HH:MM" -> minutes since midnight
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function localMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(date);
+  const value = type => Number(parts.find(p => p.type === type).value);
+  return value('hour') * 60 + value('minute');
+}
+
+// When `log` went to the vendor, or null if it never did.
+function sentAt(log) {
+  const sent = (log.history || []).find(h => h.status === 'SENT');
+  if (sent) return new Date(sent.at);
+  return SENT_STATUSES.includes(log.status) ? new Date(log.timestamp) : null;
+}
+
+// Earliest time at or after `now` that keeps the customer under the cap, given their messages.
+function capFreeAt(logs, cap, now) {
+  const since = now.getTime() - cap.periodDays * DAY_MS;
+  const recent = logs.map(sentAt).filter(t => t && t.getTime() > since).sort((a, b) => a - b);
+  if (recent.length < cap.maxMessages) return now;
+  // wait until enough of the oldest ones have left the window
+  return new Date(recent[recent.length - cap.maxMessages].getTime() + cap.periodDays * DAY_MS);
+}
+
+// End of the quiet window `at` falls into (in `timezone`), or `at` itself outside quiet hours.
+function quietEndAt(at, quiet, timezone) {
+  const start = minutesOf(quiet.start);
+  const end = minutesOf(quiet.end);
+  const local = localMinutes(at, timezone);
+  const inWindow = start <= end ? local >= start && local < end : local >= start || local < end;
+  if (!inWindow || start === end) return at;
+  const wait = (end - local + 1440) % 1440;
+  const minuteStart = at.getTime() - (at.getTime() % 60000);
+  return new Date(minuteStart + wait * 60000);
+}
+
+// Why `customer` has to wait, and until when: { code, message, until } or null to send now.
+// `logs` are the customer's communication log entries (any campaign, any channel).
+function deferral(customer, logs, rules, now = new Date()) {
+  let until = now;
+  let reason = null;
+  const cap = rules.frequencyCap;
+  if (cap) {
+    const free = capFreeAt(logs, cap, now);
+    if (free > until) {
+      until = free;
+      reason = { code: 'FREQUENCY_CAP', message: `Frequency cap of ${cap.maxMessages} per ${cap.periodDays} days reached` };
+    }
+  }
+  if (rules.quietHours) {
+    const timezone = timezoneOf(customer, rules);
+    const end = quietEndAt(until, rules.quietHours, timezone);
+    if (end > until) {
+      until = end;
+      reason = reason || { code: 'QUIET_HOURS', message: `Quiet hours ${rules.quietHours.start}-${rules.quietHours.end} (${timezone})` };
+    }
+  }
+  return reason ? { ...reason, until: until.toISOString() } : null;
+}
+
+module.exports = { DEFAULT_RULES, isTimezone, deferral };
@@ -0,0 +1,196 @@
+// lib/sessionStore.js
+// express-session stores that survive a restart.
+//
+// With REDIS_URL sessions live in Redis (`sess:<sid>` keys that expire with the cookie),
+// so several backends share them. Without Redis each session is a JSON file in `dir`;
+// expired files are removed when read and by a periodic sweep.
+//
+// Both implement all(), so the "active sessions" view can list a user's sessions. The view
+// names a session by sessionHandle(sid), never by the id itself.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Redis = require('ioredis');
+
+const SWEEP_MS = 60 * 60 * 1000;
+
+// Milliseconds until the session's cookie expires (`fallbackMs` for sessions without one).
+function ttlOf(sess, fallbackMs) {
+  const expires = sess && sess.cookie && sess.cookie.expires;
+  const ttl = expires ? new Date(expires).getTime() - Date.now() : fallbackMs;
+  return Math.max(1, ttl);
+}
+
+// Callback-style store methods implemented as promises.
+function callback(promise, cb) {
+  promise.then(result => cb && cb(null, result), err => cb && cb(err));
+}
+
+function createRedisStore(Store, { redisUrl, ttlMs, prefix = 'sess:' }) {
+  const client = new Redis(redisUrl);
+  client.on('error', e => console.error('Session store (redis) error', e && e.message ? e.message : e));
+
+  class RedisSessionStore extends Store {
+    get(sid, cb) {
+      callback(client.get(prefix + sid).then(raw => (raw ? JSON.parse(raw) : null)), cb);
+    }
+
+    set(sid, sess, cb) {
+      callback(client.set(prefix + sid, JSON.stringify(sess), 'PX', ttlOf(sess, ttlMs)), cb);
+    }
+
+    touch(sid, sess, cb) {
+      callback(client.pexpire(prefix + sid, ttlOf(sess, ttlMs)), cb);
+    }
+
+    destroy(sid, cb) {
+      callback(client.del(prefix + sid), cb);
+    }
+
+    // { sid: session } for every live session
+    all(cb) {
+      callback((async () => {
+        const keys = [];
+        let cursor = '0';
+        do {
+          const [next, batch] = await client.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 500);
+          cursor = next;
+          keys.push(...batch);
+        } while (cursor !== '0');
+        const values = keys.length ? await client.mget(keys) : [];
+        const sessions = {};
+        keys.forEach((key, i) => {
+          if (values[i]) sessions[key.slice(prefix.length)] = JSON.parse(values[i]);
+        });
+        return sessions;
+      })(), cb);
+    }
+  }
+
+  const store = new RedisSessionStore();
+  store.driver = 'redis';
+  return store;
+}
+
+function createFileStore(Store, { dir, ttlMs }) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  // session ids come from signed cookies, but never let one leave `dir`
+  const fileOf = sid => (/^[\w-]+$/.test(sid) ? path.join(dir, `${sid}.json`) : null);
+
+  // Writes and deletes of one session run one after another (set and touch often overlap),
+  // each through its own temp file.
+  const pending = new Map();
+  let tmpCounter = 0;
+
+  function serialize(sid, fn) {
+    const previous = pending.get(sid) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {});
+    pending.set(sid, tail);
+    tail.then(() => {
+      if (pending.get(sid) === tail) pending.delete(sid);
+    });
+    return run;
+  }
+
+  async function readEntry(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT' || e instanceof SyntaxError) return null;
+      throw e;
+    }
+  }
+
+  async function read(sid) {
+    const file = fileOf(sid);
+    if (!file) return null;
+    const entry = await readEntry(file);
+    if (!entry || entry.expiresAt > Date.now()) return entry;
+    // Expired: delete it in turn with the session's writes, unless a set() got there first.
+    await serialize(sid, async () => {
+      const current = await readEntry(file);
+      if (current && current.expiresAt <= Date.now()) await fs.promises.unlink(file).catch(() => {});
+    });
+    return null;
+  }
+
+  function write(sid, sess) {
+    const file = fileOf(sid);
+    if (!file) return Promise.reject(new Error('Invalid session id'));
+    return serialize(sid, async () => {
+      const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+      try {
+        await fs.promises.writeFile(tmp, JSON.stringify({ expiresAt: Date.now() + ttlOf(sess, ttlMs), session: sess }));
+        await fs.promises.rename(tmp, file);
+      } catch (e) {
+        await fs.promises.unlink(tmp).catch(() => {});
+        throw e;
+      }
+    });
+  }
+
+  function remove(sid) {
+    const file = fileOf(sid);
+    if (!file) return Promise.resolve();
+    return serialize(sid, () => fs.promises.unlink(file).catch(e => (e.code === 'ENOENT' ? null : Promise.reject(e))));
+  }
+
+  class FileSessionStore extends Store {
+    get(sid, cb) {
+      callback(read(sid).then(entry => (entry ? entry.session : null)), cb);
+    }
+
+    set(sid, sess, cb) {
+      callback(write(sid, sess), cb);
+    }
+
+    touch(sid, sess, cb) {
+      callback(write(sid, sess), cb);
+    }
+
+    destroy(sid, cb) {
+      callback(remove(sid), cb);
+    }
+
+    // { sid: session } for every live session; reading drops the expired ones
+    all(cb) {
+      callback((async () => {
+        const sessions = {};
+        for (const name of await fs.promises.readdir(dir)) {
+          if (!name.endsWith('.json')) continue;
+          const sid = name.slice(0, -'.json'.length);
+          const entry = await read(sid);
+          if (entry) sessions[sid] = entry.session;
+        }
+        return sessions;
+      })(), cb);
+    }
+  }
+
+  const store = new FileSessionStore();
+  store.driver = 'file';
+  setInterval(() => store.all(err => {
+    if (err) console.error('Session sweep error', err.message);
+  }), SWEEP_MS).unref();
+  return store;
+}
+
+// Public name of a session; it cannot be turned back into the session id.
+function sessionHandle(sid) {
+  return crypto.createHash('sha256').update(String(sid)).digest('hex').slice(0, 16);
+}
+
+// `session` is the express-session module; `ttlMs` applies to sessions without a cookie expiry.
+function createSessionStore(session, { redisUrl, dir, ttlMs }) {
+  if (redisUrl) {
+    try {
+      return createRedisStore(session.Store, { redisUrl, ttlMs });
+    } catch (e) {
+      console.warn('Failed to create the Redis session store, using files:', e && e.message ? e.message : e);
+    }
+  }
+  return createFileStore(session.Store, { dir, ttlMs });
+}
+
+module.exports = { createSessionStore, sessionHandle };
@@ -0,0 +1,121 @@
+// lib/templates.js
+// Message templates with merge tags, rendered per customer at send time.
+//
+//   Hi {{first_name}}, you've spent {{total_spent | currency}} so far.
+//   See what's new in {{metadata.city | default:"your city"}}!
+//
+// Variables are customer fields, a few order-derived stats (customer.stats) and
+// any metadata.<key>. Unknown variables or filters are rejected up front by
+// validateTemplate so a typo never reaches recipients. A metadata key the
+// customer doesn't have renders as "" unless a `default` filter is given.
+const CURRENCY = process.env.CURRENCY || 'INR';
+const LOCALE = process.env.CURRENCY_LOCALE || 'en-IN';
+
+const TAG_RE = /\{\{([\s\S]*?)\}\}/g;
+const METADATA_RE = /^metadata\.[A-Za-z0-9_-]+(\.[A-Za-z0-9_-]+)*$/;
+
+const VARIABLES = {
+  name: c => c.name,
+  first_name: c => String(c.name || '').trim().split(/\s+/)[0],
+  email: c => c.email,
+  phone: c => c.phone,
+  total_spent: c => c.total_spent,
+  last_order_date: c => c.last_order_date,
+  order_count: c => (c.stats ? c.stats.order_count : undefined),
+  avg_order_value: c => (c.stats ? c.stats.avg_order_value : undefined),
+  days_since_last_order: c => (c.stats ? c.stats.days_since_last_order : undefined),
+  // set per message at send time (lib/consent.js)
+  unsubscribe_url: c => c.unsubscribe_url
+};
+
+const isBlank = v => v === undefined || v === null || v === '';
+
+const FILTERS = {
+  default: (v, arg) => (isBlank(v) ? (arg === undefined ? '' : arg) : v),
+  currency: v => (isBlank(v) || Number.isNaN(Number(v))
+    ? v
+    : new Intl.NumberFormat(LOCALE, { style: 'currency', currency: CURRENCY, maximumFractionDigits: 2 }).format(Number(v))),
+  date: v => {
+    if (isBlank(v)) return v;
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? v : d.toLocaleDateString(LOCALE, { day: 'numeric', month: 'short', year: 'numeric' });
+  },
+  upper: v => (isBlank(v) ? v : String(v).toUpperCase()),
+  lower: v => (isBlank(v) ? v : String(v).toLowerCase()),
+  capitalize: v => (isBlank(v) ? v : String(v).charAt(0).toUpperCase() + String(v).slice(1))
+};
+
+// Splits on `|` outside quotes: 'metadata.city | default:"a|b"' -> ['metadata.city', 'default:"a|b"']
+function splitPipes(expr) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const ch of expr) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current += ch;
+    } else if (ch === '|') {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+function parseFilter(raw) {
+  const idx = raw.indexOf(':');
+  if (idx === -1) return { name: raw.trim() };
+  let arg = raw.slice(idx + 1).trim();
+  if (/^(".*"|'.*')$/.test(arg)) arg = arg.slice(1, -1);
+  return { name: raw.slice(0, idx).trim(), arg };
+}
+
+function parseTag(expr) {
+  const [variable, ...filters] = splitPipes(expr);
+  return { variable, filters: filters.map(parseFilter) };
+}
+
+// Returns a list of problems (empty when the template is usable).
+function validateTemplate(template) {
+  const errors = [];
+  const text = String(template || '');
+  const opens = (text.match(/\{\{/g) || []).length;
+  const closes = (text.match(/\}\}/g) || []).length;
+  if (opens !== closes) errors.push('Unbalanced {{ }} in message');
+  for (const match of text.matchAll(TAG_RE)) {
+    const { variable, filters } = parseTag(match[1]);
+    if (!variable) errors.push(`Empty merge tag ${match[0]}`);
+    else if (!VARIABLES[variable] && !METADATA_RE.test(variable)) errors.push(`Unknown variable "${variable}" in ${match[0]}`);
+    filters.forEach(f => {
+      if (!FILTERS[f.name]) errors.push(`Unknown filter "${f.name}" in ${match[0]}`);
+    });
+  }
+  return errors;
+}
+
+function resolveVariable(customer, variable) {
+  if (VARIABLES[variable]) return VARIABLES[variable](customer);
+  return variable.slice('metadata.'.length).split('.')
+    .reduce((acc, key) => (acc == null ? undefined : acc[key]), customer.metadata || {});
+}
+
+// Assumes validateTemplate(template) returned no errors.
+function renderTemplate(template, customer) {
+  return String(template || '').replace(TAG_RE, (whole, expr) => {
+    const { variable, filters } = parseTag(expr);
+    const value = filters.reduce((v, f) => FILTERS[f.name](v, f.arg), resolveVariable(customer, variable));
+    return isBlank(value) ? '' : String(value);
+  });
+}
+
+function describeTemplateSyntax() {
+  return { variables: [...Object.keys(VARIABLES), 'metadata.<key>'], filters: Object.keys(FILTERS) };
+}
+
+module.exports = { validateTemplate, renderTemplate, describeTemplateSyntax };
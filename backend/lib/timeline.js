@@ -0,0 +1,66 @@
+// lib/timeline.js
+// A customer's activity as one list, newest first:
+//   order     an order (amount, items, the campaign it is attributed to by last touch)
+//   message   a campaign message was queued for the customer (or skipped: status SUPPRESSED
+//             with a `suppression` reason)
+//   status    a later status of that message (SENT, DELIVERED, OPENED, ..., from sends and receipts;
+//             a QUEUED status with an error code is a failed attempt that will be retried, one
+//             with source 'deferred' was held back by the delivery rules until `until`)
+// Message and status events carry campaignId/campaignName so the UI can group them.
+
+function messageEvents(log, campaign) {
+  const base = {
+    messageId: log.id,
+    campaignId: log.campaignId,
+    campaignName: campaign ? campaign.name : null,
+    channel: log.channel || 'email'
+  };
+  const history = log.history && log.history.length
+    ? log.history
+    : [{ status: log.status, at: log.timestamp, source: 'send' }];
+  const [queued, ...later] = history;
+  return [
+    {
+      type: 'message',
+      at: queued.at,
+      ...base,
+      variant: log.variant || null,
+      subject: log.subject || null,
+      message: log.message,
+      status: log.status,
+      suppression: log.suppression || null
+    },
+    ...later.map(h => ({
+      type: 'status',
+      at: h.at,
+      ...base,
+      status: h.status,
+      source: h.source || null,
+      error: h.error || null,
+      reason: h.reason || null,
+      until: h.until || null
+    }))
+  ];
+}
+
+function orderEvent(order, campaignsById) {
+  const lastTouch = order.attribution && order.attribution.last_touch;
+  const campaign = lastTouch && campaignsById.get(lastTouch.campaignId);
+  return {
+    type: 'order',
+    at: order.date,
+    orderId: order.id,
+    amount: order.amount,
+    items: order.items || [],
+    attributedTo: lastTouch ? { campaignId: lastTouch.campaignId, campaignName: campaign ? campaign.name : null } : null
+  };
+}
+
+function customerTimeline(orders, logs, campaignsById) {
+  return [
+    ...orders.map(o => orderEvent(o, campaignsById)),
+    ...logs.flatMap(l => messageEvents(l, campaignsById.get(l.campaignId)))
+  ].sort((a, b) => new Date(b.at) - new Date(a.at));
+}
+
+module.exports = { customerTimeline };
@@ -0,0 +1,152 @@
+// lib/webhookAuth.js
+// Authentication for vendor webhooks (delivery receipts).
+//
+// A vendor signs each request with its shared secret:
+//   X-Vendor-Id:           vendor name, e.g. email-api (must have a secret in RECEIPT_SECRETS)
+//   X-Signature-Timestamp: unix time in seconds
+//   X-Signature:           sha256=<hex HMAC-SHA256 of `${timestamp}.${raw body}`>
+// Requests older or newer than the tolerance, or replaying a signature already seen
+// within it, are refused. An optional IP allowlist (addresses or IPv4/IPv6 CIDRs) is
+// checked first.
+//
+// Seen signatures are kept by a replay store; the backend uses repositoryReplayStore so
+// that a restart does not let captured requests be replayed inside the window.
+const crypto = require('crypto');
+const net = require('net');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// "email-api=secret1,sms-api=secret2" -> { 'email-api': 'secret1', 'sms-api': 'secret2' }
+function parseSecrets(raw) {
+  const secrets = {};
+  String(raw || '').split(',').map(s => s.trim()).filter(Boolean).forEach(pair => {
+    const idx = pair.indexOf('=');
+    if (idx > 0) secrets[pair.slice(0, idx).trim()] = pair.slice(idx + 1).trim();
+  });
+  return secrets;
+}
+
+function parseAllowlist(raw) {
+  const entries = String(raw || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!entries.length) return null;
+  const list = new net.BlockList();
+  entries.forEach(entry => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) throw new Error(`Invalid address in RECEIPT_IP_ALLOWLIST: ${entry}`);
+    if (prefix !== undefined) list.addSubnet(address, Number(prefix), type);
+    else list.addAddress(address, type);
+  });
+  return list;
+}
+
+function normalizeIp(ip) {
+  return ip && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+function sign(secret, timestamp, rawBody) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+// Headers for a signed webhook request; used by the mock vendor (mockVendor.js).
+function signedHeaders(vendor, secret, rawBody, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  return {
+    'x-vendor-id': vendor,
+    'x-signature-timestamp': String(timestamp),
+    'x-signature': sign(secret, timestamp, rawBody)
+  };
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function configFromEnv(env = process.env) {
+  return {
+    enabled: env.RECEIPT_AUTH !== 'off',
+    secrets: parseSecrets(env.RECEIPT_SECRETS),
+    allowlist: parseAllowlist(env.RECEIPT_IP_ALLOWLIST),
+    toleranceSeconds: Number(env.RECEIPT_TOLERANCE_SECONDS || DEFAULT_TOLERANCE_SECONDS)
+  };
+}
+
+// Replay stores: claim(signature, expiresAt, now) resolves true the first time a signature
+// is seen (until `expiresAt`, in ms) and false for a replay.
+function memoryReplayStore() {
+  const seen = new Map(); // signature -> expiry (ms)
+  return {
+    async claim(signature, expiresAt, now) {
+      for (const [sig, expires] of seen) {
+        if (expires <= now) seen.delete(sig);
+      }
+      if (seen.has(signature)) return false;
+      seen.set(signature, expiresAt);
+      return true;
+    }
+  };
+}
+
+// Seen signatures as documents { id: signature, expiresAt } of a storage repository.
+// Claims run one at a time, so two copies of a request can't both get through; expired
+// documents are removed at most once per `pruneEveryMs`.
+function repositoryReplayStore(repo, { pruneEveryMs = 60 * 1000 } = {}) {
+  let chain = Promise.resolve();
+  let prunedAt = 0;
+
+  async function claim(signature, expiresAt, now) {
+    const existing = await repo.get(signature);
+    if (existing && existing.expiresAt > now) return false;
+    if (existing) await repo.update(signature, { expiresAt });
+    else await repo.insert({ id: signature, expiresAt });
+    if (now - prunedAt >= pruneEveryMs) {
+      prunedAt = now;
+      const expired = (await repo.list()).filter(d => d.expiresAt <= now).map(d => d.id);
+      if (expired.length) await repo.removeMany(expired);
+    }
+    return true;
+  }
+
+  return {
+    claim(signature, expiresAt, now) {
+      const run = chain.then(() => claim(signature, expiresAt, now));
+      chain = run.catch(() => {});
+      return run;
+    }
+  };
+}
+
+// Returns async verify(req) -> { ok: true, vendor } or { ok: false, status, reason, vendor }.
+// `req.rawBody` must hold the unparsed request body (see express.json's `verify` option).
+function createWebhookVerifier(config = configFromEnv(), replays = memoryReplayStore()) {
+  return async function verify(req, now = Date.now()) {
+    const ip = normalizeIp(req.ip);
+    if (config.allowlist) {
+      const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+      if (!ip || !config.allowlist.check(ip, type)) return { ok: false, status: 403, reason: `IP ${ip} is not allowlisted` };
+    }
+    if (!config.enabled) return { ok: true, vendor: null };
+
+    const vendor = req.get('x-vendor-id');
+    const timestamp = req.get('x-signature-timestamp');
+    const signature = req.get('x-signature');
+    if (!vendor || !timestamp || !signature) return { ok: false, status: 401, reason: 'Missing signature headers', vendor };
+    const secret = config.secrets[vendor];
+    if (!secret) return { ok: false, status: 401, reason: `Unknown vendor ${vendor}`, vendor };
+
+    const ts = Number(timestamp);
+    if (!Number.isInteger(ts) || Math.abs(now / 1000 - ts) > config.toleranceSeconds) {
+      return { ok: false, status: 401, reason: 'Signature timestamp outside the allowed window', vendor };
+    }
+    const expected = sign(secret, ts, req.rawBody ? req.rawBody.toString('utf8') : '');
+    if (!safeEqual(signature, expected)) return { ok: false, status: 401, reason: 'Invalid signature', vendor };
+    if (!(await replays.claim(signature, now + config.toleranceSeconds * 1000, now))) {
+      return { ok: false, status: 409, reason: 'Replayed request', vendor };
+    }
+    return { ok: true, vendor };
+  };
+}
+
+module.exports = { createWebhookVerifier, memoryReplayStore, repositoryReplayStore, configFromEnv, parseSecrets, signedHeaders };
@@ -0,0 +1,37 @@
+// migrateJsonToSqlite.js
+// One-shot import of backend/data/*.json into the SQLite store (node migrateJsonToSqlite.js).
+// Documents whose id already exists in SQLite are skipped, so re-running it is harmless.
+const { createStorage, COLLECTIONS } = require('./storage');
+
+async function migrate(options = {}) {
+  const source = createStorage({ driver: 'json', dataDir: options.dataDir });
+  const target = createStorage({ driver: 'sqlite', dataDir: options.dataDir, sqliteFile: options.sqliteFile });
+  const summary = {};
+  try {
+    for (const name of Object.keys(COLLECTIONS)) {
+      const docs = await source[name].list();
+      const missing = [];
+      for (const doc of docs) {
+        if (!doc || !doc.id) continue;
+        if (!(await target[name].get(doc.id))) missing.push(doc);
+      }
+      await target[name].insertMany(missing);
+      summary[name] = { read: docs.length, imported: missing.length };
+      console.log(`${name}: read ${docs.length}, imported ${missing.length}`);
+    }
+  } finally {
+    target.close();
+  }
+  return summary;
+}
+
+if (require.main === module) {
+  migrate()
+    .then(() => console.log('Migration complete. Start the backend with STORAGE_DRIVER=sqlite to use it.'))
+    .catch(e => {
+      console.error('Migration failed:', e && e.message ? e.message : e);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,123 @@
+// mockVendor.js
+// Local stand-in for the email / SMS / WhatsApp providers so the whole send flow works offline.
+// Run alongside the backend: node mockVendor.js (or npm run mock-vendor).
+//
+//   POST /:channel/messages   channel = email | sms | whatsapp
+//        { to, body, subject?, from?, metadata? } -> 202 { id, status: 'queued' }
+//   GET  /messages            last messages accepted (newest first)
+//   GET  /messages/:id
+//
+// It fails a share of requests (MOCK_FAILURE_RATE, default 0.1) with 503, rejects bad
+// addresses with 400, and — when the request carries metadata.logId — posts a DELIVERED
+// receipt (and sometimes OPENED, then CLICKED) back to BACKEND_URL/api/delivery-receipt,
+// like a real provider's status callback. Each receipt carries an Idempotency-Key header
+// and is signed as `<channel>-api` with that vendor's secret from RECEIPT_SECRETS
+// (shared with the backend, e.g. through backend/.env.local).
+const path = require('path');
+const fs = require('fs');
+
+const envPath = path.join(__dirname, '.env.local');
+if (fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+}
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { parseSecrets, signedHeaders } = require('./lib/webhookAuth');
+
+const CHANNELS = {
+  email: to => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to),
+  sms: to => /^\+?[0-9]{8,15}$/.test(to),
+  whatsapp: to => /^\+?[0-9]{8,15}$/.test(to)
+};
+
+function createMockVendor(options = {}) {
+  const failureRate = Number(options.failureRate ?? process.env.MOCK_FAILURE_RATE ?? 0.1);
+  const apiKey = options.apiKey ?? process.env.MOCK_VENDOR_API_KEY ?? null;
+  const backendUrl = (options.backendUrl || process.env.BACKEND_URL || 'http://localhost:4000').replace(/\/$/, '');
+  const receiptDelayMs = Number(options.receiptDelayMs ?? process.env.MOCK_RECEIPT_DELAY_MS ?? 2000);
+  const sendReceipts = (options.receipts ?? process.env.MOCK_RECEIPTS) !== 'off';
+  const secrets = options.secrets || parseSecrets(process.env.RECEIPT_SECRETS);
+
+  const messages = [];
+  const app = express();
+  app.use(express.json());
+
+  async function postReceipt(msg, status) {
+    const vendor = `${msg.channel}-api`;
+    const body = JSON.stringify({ messageId: msg.metadata.logId, vendorMessageId: msg.id, status, timestamp: new Date().toISOString() });
+    const headers = { 'content-type': 'application/json', 'idempotency-key': `${msg.id}:${status}` };
+    if (secrets[vendor]) Object.assign(headers, signedHeaders(vendor, secrets[vendor], body));
+    try {
+      const resp = await fetch(`${backendUrl}/api/delivery-receipt`, { method: 'POST', headers, body });
+      msg.receipts.push({ status, httpStatus: resp.status, at: new Date().toISOString() });
+    } catch (e) {
+      console.error('mockVendor: failed to post receipt', e && e.message ? e.message : e);
+    }
+  }
+
+  function scheduleReceipts(msg) {
+    if (!sendReceipts || !msg.metadata || !msg.metadata.logId) return;
+    const advance = (status, chance, next) => setTimeout(async () => {
+      if (Math.random() >= chance) return;
+      msg.status = status;
+      await postReceipt(msg, status);
+      if (next) next();
+    }, receiptDelayMs);
+    advance('DELIVERED', 1, () => advance('OPENED', 0.4, () => advance('CLICKED', 0.5)));
+  }
+
+  app.post('/:channel/messages', (req, res) => {
+    const { channel } = req.params;
+    const isValid = CHANNELS[channel];
+    if (!isValid) return res.status(404).json({ error: { code: 'unknown_channel', message: `No such channel: ${channel}` } });
+    if (apiKey && req.get('authorization') !== `Bearer ${apiKey}`) {
+      return res.status(401).json({ error: { code: 'unauthorized', message: 'Invalid API key' } });
+    }
+    const { to, body, subject, from, metadata } = req.body || {};
+    if (!to || !isValid(String(to))) {
+      return res.status(400).json({ error: { code: 'invalid_recipient', message: `Invalid ${channel} recipient: ${to || '(none)'}` } });
+    }
+    if (!body) return res.status(422).json({ error: { code: 'empty_body', message: 'Message body is required' } });
+    if (Math.random() < failureRate) {
+      return res.status(503).json({ error: { code: 'temporarily_unavailable', message: 'Simulated provider outage, try again' } });
+    }
+
+    const msg = {
+      id: `mock-${channel}-${uuidv4()}`,
+      channel,
+      to,
+      from: from || null,
+      subject: subject || null,
+      body,
+      metadata: metadata || {},
+      status: 'QUEUED',
+      receipts: [],
+      createdAt: new Date().toISOString()
+    };
+    messages.unshift(msg);
+    if (messages.length > 500) messages.pop();
+    console.log(new Date().toISOString(), `mockVendor: ${channel} to ${to} accepted as ${msg.id}`);
+    scheduleReceipts(msg);
+    return res.status(202).json({ id: msg.id, status: 'queued' });
+  });
+
+  app.get('/messages', (req, res) => res.json({ data: messages }));
+
+  app.get('/messages/:id', (req, res) => {
+    const msg = messages.find(m => m.id === req.params.id);
+    if (!msg) return res.status(404).json({ error: { code: 'not_found', message: 'Message not found' } });
+    return res.json({ data: msg });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const PORT = process.env.MOCK_VENDOR_PORT || 4100;
+  createMockVendor().listen(PORT, () => {
+    console.log(`Mock vendor listening on port ${PORT}`);
+  });
+}
+
+module.exports = { createMockVendor };
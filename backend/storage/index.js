@@ -0,0 +1,72 @@
+// storage/index.js
+// Repository layer for every persisted entity. Routes and processors talk to
+// `db.<collection>` and never touch files or SQL directly.
+//
+// Each repository exposes the same async interface regardless of driver:
+//   list()                 -> all documents, in insertion order
+//   get(id)                -> document or null
+//   findBy(field, value)   -> documents whose top-level `field` equals `value`
+//   findOne(field, value)  -> first match or null
+//   insert(doc)            -> doc
+//   insertMany(docs)       -> docs
+//   update(id, patch)      -> merged document, or null if `id` is unknown; `patch` may be
+//                             a function (current) => changes, applied atomically
+//   updateMany(ids, patch) -> the updated documents, in one write (unknown ids are skipped)
+//   remove(id)             -> true if a document was deleted
+//   removeMany(ids)        -> number of documents deleted, in one write
+//   drain()                -> all documents, removing them atomically (used for inbox-style collections)
+//
+// `db.forWorkspace(id)` returns the same interface limited to one workspace's documents
+// (see workspaceScope.js).
+//
+// Pick the driver with STORAGE_DRIVER=json (default) or STORAGE_DRIVER=sqlite.
+const path = require('path');
+const { scopeStorage } = require('./workspaceScope');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+// `indexes` lists fields that are looked up often; the SQLite driver stores
+// them in their own indexed columns, the JSON driver ignores them.
+// `workspace: true` marks per-workspace data: every document carries `workspaceId`.
+const COLLECTIONS = {
+  customers: { file: 'customers.json', table: 'customers', workspace: true, indexes: ['workspaceId', 'email', 'phone', 'external_id'] },
+  orders: { file: 'orders.json', table: 'orders', workspace: true, indexes: ['workspaceId', 'customer_email', 'lastTouchCampaignId', 'firstTouchCampaignId'] },
+  segments: { file: 'segments.json', table: 'segments', workspace: true, indexes: ['workspaceId'] },
+  campaigns: { file: 'campaigns.json', table: 'campaigns', workspace: true, indexes: ['workspaceId', 'segmentId'] },
+  communicationLog: { file: 'communication_log.json', table: 'communication_log', workspace: true, indexes: ['workspaceId', 'campaignId', 'customer_email', 'vendorMessageId', 'status'] },
+  receipts: { file: 'receipts.json', table: 'receipts', indexes: ['idempotencyKey'] },
+  deadLetters: { file: 'dead_letters.json', table: 'dead_letters', workspace: true, indexes: ['workspaceId', 'campaignId'] },
+  quarantinedReceipts: { file: 'quarantined_receipts.json', table: 'quarantined_receipts', indexes: [] },
+  webhookSignatures: { file: 'webhook_signatures.json', table: 'webhook_signatures', indexes: [] },
+  holdouts: { file: 'holdouts.json', table: 'holdouts', workspace: true, indexes: ['workspaceId', 'campaignId'] },
+  imports: { file: 'imports.json', table: 'imports', workspace: true, indexes: ['workspaceId'] },
+  suppressions: { file: 'suppressions.json', table: 'suppressions', workspace: true, indexes: ['workspaceId', 'address'] },
+  schedules: { file: 'schedules.json', table: 'schedules', workspace: true, indexes: ['workspaceId', 'campaignId', 'status'] },
+  settings: { file: 'settings.json', table: 'settings', indexes: [] },
+  users: { file: 'users.json', table: 'users', indexes: ['email'] },
+  workspaces: { file: 'workspaces.json', table: 'workspaces', indexes: [] },
+  apiKeys: { file: 'api_keys.json', table: 'api_keys', workspace: true, indexes: ['workspaceId', 'hash'] },
+  auditLog: { file: 'audit_log.json', table: 'audit_log', indexes: ['action'] }
+};
+
+function withWorkspaces(storage) {
+  return { ...storage, forWorkspace: workspaceId => scopeStorage(storage, COLLECTIONS, workspaceId) };
+}
+
+function createStorage(options = {}) {
+  const driver = (options.driver || process.env.STORAGE_DRIVER || 'json').toLowerCase();
+  const dataDir = options.dataDir || DEFAULT_DATA_DIR;
+
+  if (driver === 'sqlite') {
+    const { createSqliteStorage } = require('./sqliteStore');
+    const file = options.sqliteFile || process.env.SQLITE_FILE || path.join(dataDir, 'crm.sqlite');
+    return withWorkspaces(createSqliteStorage(COLLECTIONS, file));
+  }
+  if (driver === 'json') {
+    const { createJsonStorage } = require('./jsonStore');
+    return withWorkspaces(createJsonStorage(COLLECTIONS, dataDir));
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "json" or "sqlite")`);
+}
+
+module.exports = { createStorage, COLLECTIONS, DEFAULT_DATA_DIR };
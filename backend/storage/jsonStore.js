@@ -0,0 +1,169 @@
+// storage/jsonStore.js
+// JSON-file driver: one array per file under data/. Every write rewrites the
+// whole file, so this is meant for local development and small datasets.
+//
+// Safety rules:
+//  - writes go to a temp file that is fsync'd and then renamed over the target,
+//    so a crash mid-write leaves either the old or the new file, never half of one;
+//  - every read-modify-write holds a per-file lock, so concurrent queue jobs,
+//    requests and the receipts batch cannot overwrite each other's changes
+//    (the lock is per process — run a single backend process per data dir);
+//  - a file that exists but does not parse is reported as corrupt instead of
+//    being treated as [], and is never overwritten;
+//  - replacing a non-empty file with [] is refused unless the caller asks for it.
+const fs = require('fs');
+const path = require('path');
+
+const locks = new Map();
+
+// Serializes async work per file path. Returns whatever `fn` resolves to.
+function withFileLock(filePath, fn) {
+  const previous = locks.get(filePath) || Promise.resolve();
+  const run = previous.then(() => fn());
+  const tail = run.catch(() => {});
+  locks.set(filePath, tail);
+  tail.then(() => {
+    if (locks.get(filePath) === tail) locks.delete(filePath);
+  });
+  return run;
+}
+
+function corruptError(filePath, cause) {
+  const err = new Error(`Data file ${filePath} is corrupt (${cause && cause.message ? cause.message : cause}); refusing to read or overwrite it`);
+  err.code = 'EJSONCORRUPT';
+  return err;
+}
+
+// A missing or empty file is an empty collection; anything that fails to parse is corruption.
+async function readJsonSafe(filePath) {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    console.error('readJsonSafe error for', filePath, err && err.message ? err.message : err);
+    throw err;
+  }
+  if (raw.trim() === '') return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    console.error('readJsonSafe error for', filePath, err && err.message ? err.message : err);
+    throw corruptError(filePath, err);
+  }
+  if (!Array.isArray(parsed)) throw corruptError(filePath, 'expected a JSON array');
+  return parsed;
+}
+
+async function writeJsonSafe(filePath, arr, options = {}) {
+  if (!Array.isArray(arr)) throw new Error('writeJsonSafe expects an array for ' + filePath);
+  if (arr.length === 0 && !options.allowEmpty) {
+    const current = await readJsonSafe(filePath);
+    if (current.length > 0) {
+      throw new Error(`Refusing to replace ${current.length} record(s) in ${filePath} with an empty array`);
+    }
+  }
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  let handle;
+  try {
+    handle = await fs.promises.open(tmpPath, 'w');
+    await handle.writeFile(JSON.stringify(arr, null, 2));
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (err) {
+    console.error('writeJsonSafe error for', filePath, err && err.message ? err.message : err);
+    if (handle) await handle.close().catch(() => {});
+    await fs.promises.unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+}
+
+function createJsonRepository(filePath) {
+  if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, JSON.stringify([]));
+
+  // Runs `fn(docs)` under the file lock; `fn` returns { docs, result } and
+  // `docs` (when present) is written back atomically.
+  const mutate = (fn, options) => withFileLock(filePath, async () => {
+    const { docs, result } = await fn(await readJsonSafe(filePath));
+    if (docs) await writeJsonSafe(filePath, docs, options);
+    return result;
+  });
+
+  return {
+    async list() {
+      return readJsonSafe(filePath);
+    },
+    async get(id) {
+      return (await readJsonSafe(filePath)).find(d => d.id === id) || null;
+    },
+    async findBy(field, value) {
+      return (await readJsonSafe(filePath)).filter(d => d[field] === value);
+    },
+    async findOne(field, value) {
+      return (await readJsonSafe(filePath)).find(d => d[field] === value) || null;
+    },
+    insert(doc) {
+      return mutate(docs => ({ docs: [...docs, doc], result: doc }));
+    },
+    insertMany(newDocs) {
+      if (newDocs.length === 0) return Promise.resolve(newDocs);
+      return mutate(docs => ({ docs: [...docs, ...newDocs], result: newDocs }));
+    },
+    // `patch` may be a function of the current document, which lets callers
+    // derive new values (e.g. running totals) inside the lock.
+    update(id, patch) {
+      return mutate(docs => {
+        const idx = docs.findIndex(d => d.id === id);
+        if (idx === -1) return { result: null };
+        const changes = typeof patch === 'function' ? patch(docs[idx]) : patch;
+        docs[idx] = { ...docs[idx], ...changes, id };
+        return { docs, result: docs[idx] };
+      });
+    },
+    updateMany(ids, patch) {
+      const wanted = new Set(ids);
+      return mutate(docs => {
+        const updated = [];
+        docs.forEach((doc, idx) => {
+          if (!wanted.has(doc.id)) return;
+          const changes = typeof patch === 'function' ? patch(doc) : patch;
+          docs[idx] = { ...doc, ...changes, id: doc.id };
+          updated.push(docs[idx]);
+        });
+        return updated.length ? { docs, result: updated } : { result: [] };
+      });
+    },
+    remove(id) {
+      return mutate(docs => {
+        const remaining = docs.filter(d => d.id !== id);
+        if (remaining.length === docs.length) return { result: false };
+        return { docs: remaining, result: true };
+      }, { allowEmpty: true });
+    },
+    removeMany(ids) {
+      const gone = new Set(ids);
+      return mutate(docs => {
+        const remaining = docs.filter(d => !gone.has(d.id));
+        if (remaining.length === docs.length) return { result: 0 };
+        return { docs: remaining, result: docs.length - remaining.length };
+      }, { allowEmpty: true });
+    },
+    drain() {
+      return mutate(docs => ({ docs: docs.length > 0 ? [] : null, result: docs }), { allowEmpty: true });
+    }
+  };
+}
+
+function createJsonStorage(collections, dataDir) {
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+  const storage = { driver: 'json', close() {} };
+  Object.entries(collections).forEach(([name, def]) => {
+    storage[name] = createJsonRepository(path.join(dataDir, def.file));
+  });
+  return storage;
+}
+
+module.exports = { createJsonStorage, readJsonSafe, writeJsonSafe, withFileLock };
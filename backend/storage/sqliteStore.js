@@ -0,0 +1,141 @@
+// storage/sqliteStore.js
+// Embedded SQLite driver (better-sqlite3). Each collection is a table holding
+// the document as JSON in `data`, plus one indexed column per field listed in
+// the collection's `indexes`, so lookups like customers-by-email or
+// logs-by-campaign don't scan the whole table.
+const fs = require('fs');
+const path = require('path');
+
+const FIELD_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (e) {
+    throw new Error('STORAGE_DRIVER=sqlite requires the better-sqlite3 package (npm install better-sqlite3): ' + (e && e.message ? e.message : e));
+  }
+}
+
+function quote(field) {
+  if (!FIELD_RE.test(field)) throw new Error('Invalid field name: ' + field);
+  return `"${field}"`;
+}
+
+// SQLite can only bind numbers, strings, bigints, buffers and null.
+function toColumnValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+function createSqliteRepository(db, def) {
+  const table = quote(def.table);
+  const indexes = def.indexes || [];
+
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL${indexes.map(f => `,\n    ${quote(f)}`).join('')}
+  )`);
+  // Fields added to `indexes` after the table was created get their column here, backfilled from `data`.
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  indexes.filter(f => !existing.includes(f)).forEach(f => {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${quote(f)}`);
+    db.exec(`UPDATE ${table} SET ${quote(f)} = json_extract(data, '$.${f}')`);
+  });
+  indexes.forEach(f => {
+    db.exec(`CREATE INDEX IF NOT EXISTS ${quote(`idx_${def.table}_${f}`)} ON ${table} (${quote(f)})`);
+  });
+
+  const columns = ['id', 'data', ...indexes.map(quote)];
+  const upsertStmt = db.prepare(
+    `INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+  );
+  const listStmt = db.prepare(`SELECT data FROM ${table} ORDER BY rowid`);
+  const getStmt = db.prepare(`SELECT data FROM ${table} WHERE id = ?`);
+  const removeStmt = db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+  const clearStmt = db.prepare(`DELETE FROM ${table}`);
+  const findStmts = {};
+
+  const parse = row => (row ? JSON.parse(row.data) : null);
+  const write = doc => upsertStmt.run(doc.id, JSON.stringify(doc), ...indexes.map(f => toColumnValue(doc[f])));
+
+  function findStmt(field) {
+    if (!findStmts[field]) {
+      const column = quote(field);
+      const where = indexes.includes(field) ? `${column} = ?` : `json_extract(data, '$.${field}') = ?`;
+      findStmts[field] = db.prepare(`SELECT data FROM ${table} WHERE ${where} ORDER BY rowid`);
+    }
+    return findStmts[field];
+  }
+
+  const insertManyTx = db.transaction(docs => docs.forEach(write));
+  const updateTx = db.transaction((id, patch) => {
+    const current = parse(getStmt.get(id));
+    if (!current) return null;
+    const changes = typeof patch === 'function' ? patch(current) : patch;
+    const next = { ...current, ...changes, id };
+    write(next);
+    return next;
+  });
+  const updateManyTx = db.transaction((ids, patch) => ids.map(id => updateTx(id, patch)).filter(Boolean));
+  const removeManyTx = db.transaction(ids => ids.reduce((n, id) => n + removeStmt.run(id).changes, 0));
+  const drainTx = db.transaction(() => {
+    const docs = listStmt.all().map(parse);
+    clearStmt.run();
+    return docs;
+  });
+
+  return {
+    async list() {
+      return listStmt.all().map(parse);
+    },
+    async get(id) {
+      return parse(getStmt.get(id));
+    },
+    async findBy(field, value) {
+      return findStmt(field).all(toColumnValue(value)).map(parse);
+    },
+    async findOne(field, value) {
+      return parse(findStmt(field).get(toColumnValue(value)));
+    },
+    async insert(doc) {
+      write(doc);
+      return doc;
+    },
+    async insertMany(docs) {
+      insertManyTx(docs);
+      return docs;
+    },
+    async update(id, patch) {
+      return updateTx(id, patch);
+    },
+    async updateMany(ids, patch) {
+      return updateManyTx(ids, patch);
+    },
+    async remove(id) {
+      return removeStmt.run(id).changes > 0;
+    },
+    async removeMany(ids) {
+      return removeManyTx(ids);
+    },
+    async drain() {
+      return drainTx();
+    }
+  };
+}
+
+function createSqliteStorage(collections, file) {
+  const Database = loadDriver();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+
+  const storage = { driver: 'sqlite', close: () => db.close() };
+  Object.entries(collections).forEach(([name, def]) => {
+    storage[name] = createSqliteRepository(db, def);
+  });
+  return storage;
+}
+
+module.exports = { createSqliteStorage };
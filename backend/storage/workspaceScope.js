@@ -0,0 +1,71 @@
+// storage/workspaceScope.js
+// Workspace isolation. `db.forWorkspace(id)` returns the same repositories limited to one
+// workspace for every collection marked `workspace: true`:
+//   - list / findBy / findOne only see documents whose `workspaceId` is the workspace's
+//   - insert / insertMany stamp `workspaceId` on the stored documents
+//   - get / update / updateMany / remove / removeMany treat another workspace's document as if it did not exist
+// Global collections (users, workspaces, settings, ...) are passed through unchanged.
+// Background work that starts from a document (a send job, a receipt) scopes itself with
+// `db.forWorkspace(doc.workspaceId)`.
+
+function scopeRepository(repo, workspaceId) {
+  const own = doc => (doc && doc.workspaceId === workspaceId ? doc : null);
+  const stamp = doc => ({ ...doc, workspaceId });
+
+  return {
+    list() {
+      return repo.findBy('workspaceId', workspaceId);
+    },
+    async get(id) {
+      return own(await repo.get(id));
+    },
+    async findBy(field, value) {
+      return (await repo.findBy(field, value)).filter(own);
+    },
+    async findOne(field, value) {
+      return (await repo.findBy(field, value)).find(own) || null;
+    },
+    insert(doc) {
+      return repo.insert(stamp(doc));
+    },
+    insertMany(docs) {
+      return repo.insertMany(docs.map(stamp));
+    },
+    async update(id, patch) {
+      let foreign = false;
+      const updated = await repo.update(id, current => {
+        if (current.workspaceId !== workspaceId) {
+          foreign = true;
+          return {};
+        }
+        return typeof patch === 'function' ? patch(current) : patch;
+      });
+      return foreign ? null : updated;
+    },
+    async updateMany(ids, patch) {
+      const own = new Set((await repo.findBy('workspaceId', workspaceId)).map(d => d.id));
+      return repo.updateMany(ids.filter(id => own.has(id)), patch);
+    },
+    async remove(id) {
+      if (!own(await repo.get(id))) return false;
+      return repo.remove(id);
+    },
+    async removeMany(ids) {
+      const own = new Set((await repo.findBy('workspaceId', workspaceId)).map(d => d.id));
+      return repo.removeMany(ids.filter(id => own.has(id)));
+    },
+    drain() {
+      throw new Error('drain() is not available on a workspace-scoped repository');
+    }
+  };
+}
+
+function scopeStorage(storage, collections, workspaceId) {
+  const scoped = { driver: storage.driver, workspaceId };
+  Object.entries(collections).forEach(([name, def]) => {
+    scoped[name] = def.workspace ? scopeRepository(storage[name], workspaceId) : storage[name];
+  });
+  return scoped;
+}
+
+module.exports = { scopeStorage };
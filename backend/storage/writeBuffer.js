@@ -0,0 +1,125 @@
+// storage/writeBuffer.js
+// Buffered repositories for bulk work (inline imports). A buffered collection is read once,
+// on first use, and reads and writes go against that in-memory copy; flush() then stores
+// the changes with one insertMany and one updateMany per collection, so ingesting a chunk
+// of rows costs a few file writes instead of one per row.
+//
+// Updates are flushed as the fields they changed, so keep chunks small: a document changed
+// by someone else meanwhile keeps their changes to other fields, but not to the same ones.
+// remove() and drain() are not buffered and not available.
+
+function bufferRepository(repo) {
+  let byId = null;
+  const indexes = new Map(); // field -> Map(value -> Set(id))
+  const inserted = new Map(); // id -> document
+  const changed = new Map(); // id -> changed fields
+
+  async function load() {
+    if (!byId) byId = new Map((await repo.list()).map(d => [d.id, d]));
+    return byId;
+  }
+
+  function addToIndex(field, doc) {
+    const index = indexes.get(field);
+    if (!index.has(doc[field])) index.set(doc[field], new Set());
+    index.get(doc[field]).add(doc.id);
+  }
+
+  function addToIndexes(doc) {
+    indexes.forEach((index, field) => addToIndex(field, doc));
+  }
+
+  function removeFromIndexes(doc) {
+    indexes.forEach((index, field) => {
+      if (index.has(doc[field])) index.get(doc[field]).delete(doc.id);
+    });
+  }
+
+  async function findBy(field, value) {
+    const docs = await load();
+    if (!indexes.has(field)) {
+      indexes.set(field, new Map());
+      docs.forEach(doc => addToIndex(field, doc));
+    }
+    return [...(indexes.get(field).get(value) || [])].map(id => docs.get(id));
+  }
+
+  async function insert(doc) {
+    (await load()).set(doc.id, doc);
+    addToIndexes(doc);
+    inserted.set(doc.id, doc);
+    return doc;
+  }
+
+  async function update(id, patch) {
+    const docs = await load();
+    const current = docs.get(id);
+    if (!current) return null;
+    const changes = typeof patch === 'function' ? patch(current) : patch;
+    const next = { ...current, ...changes, id };
+    removeFromIndexes(current);
+    docs.set(id, next);
+    addToIndexes(next);
+    if (inserted.has(id)) inserted.set(id, next);
+    else changed.set(id, { ...(changed.get(id) || {}), ...changes });
+    return next;
+  }
+
+  return {
+    async list() {
+      return [...(await load()).values()];
+    },
+    async get(id) {
+      return (await load()).get(id) || null;
+    },
+    findBy,
+    async findOne(field, value) {
+      return (await findBy(field, value))[0] || null;
+    },
+    insert,
+    async insertMany(docs) {
+      for (const doc of docs) await insert(doc);
+      return docs;
+    },
+    update,
+    async updateMany(ids, patch) {
+      const updated = [];
+      for (const id of ids) {
+        const doc = await update(id, patch);
+        if (doc) updated.push(doc);
+      }
+      return updated;
+    },
+    remove() {
+      throw new Error('remove() is not available on a buffered repository');
+    },
+    removeMany() {
+      throw new Error('removeMany() is not available on a buffered repository');
+    },
+    drain() {
+      throw new Error('drain() is not available on a buffered repository');
+    },
+    async flush() {
+      if (inserted.size) await repo.insertMany([...inserted.values()]);
+      if (changed.size) await repo.updateMany([...changed.keys()], current => changed.get(current.id));
+      inserted.clear();
+      changed.clear();
+    }
+  };
+}
+
+// `storage` (usually db.forWorkspace(id)) with the `names` collections buffered, plus
+// flush() to write them all.
+function bufferStorage(storage, names) {
+  const buffered = names.map(name => bufferRepository(storage[name]));
+  const result = { ...storage };
+  names.forEach((name, i) => {
+    result[name] = buffered[i];
+  });
+  result.flush = async () => {
+    for (const repo of buffered) await repo.flush();
+  };
+  return result;
+}
+
+module.exports = { bufferStorage };
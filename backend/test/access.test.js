@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  ROLES, can, emailOf, signUpRole, resolveWorkspaceId, sharesWorkspace, visibleMemberships, changeMemberships
+} = require('../lib/access');
+
+test('admins can do everything, marketers read and write, viewers only read', () => {
+  const table = ROLES.map(role => [role, ['read', 'write', 'admin'].filter(p => can(role, p))]);
+  assert.deepStrictEqual(table, [
+    ['admin', ['read', 'write', 'admin']],
+    ['marketer', ['read', 'write']],
+    ['viewer', ['read']]
+  ]);
+});
+
+test('unknown roles and missing roles have no permissions', () => {
+  assert.strictEqual(can('owner', 'read'), false);
+  assert.strictEqual(can(null, 'read'), false);
+  assert.strictEqual(can(undefined, 'admin'), false);
+});
+
+test('emailOf reads the lowercased primary email of a profile', () => {
+  assert.strictEqual(emailOf({ emails: [{ value: ' Ana@Example.COM ' }] }), 'ana@example.com');
+  assert.strictEqual(emailOf({ emails: [] }), null);
+  assert.strictEqual(emailOf(null), null);
+});
+
+test('only allowlisted emails can sign up', () => {
+  const access = { allowedDomains: ['example.com'], defaultRole: 'marketer' };
+  assert.strictEqual(signUpRole('boss@elsewhere.org', access, ['boss@elsewhere.org']), 'admin');
+  assert.strictEqual(signUpRole('ana@example.com', access, []), 'marketer');
+  assert.strictEqual(signUpRole('ana@example.com', { allowedDomains: ['example.com'] }, []), 'viewer');
+  assert.strictEqual(signUpRole('eve@example.com.evil.org', access, []), null);
+  assert.strictEqual(signUpRole('eve@other.org', access, []), null);
+  assert.strictEqual(signUpRole(null, access, []), null);
+});
+
+test('an admin of workspace A cannot reach workspace B', () => {
+  const adminA = { id: 'a', role: 'admin', workspaceIds: ['A'] };
+  const memberB = { id: 'b', role: 'marketer', workspaceIds: ['B'] };
+
+  assert.strictEqual(resolveWorkspaceId(adminA, 'B'), null);
+  assert.strictEqual(resolveWorkspaceId(adminA, undefined), 'A');
+  assert.strictEqual(resolveWorkspaceId({ workspaceIds: [] }, undefined), null);
+
+  // not by adding B to their own account or to a new user
+  assert.deepStrictEqual(changeMemberships(adminA, adminA, ['A', 'B']), { forbidden: ['B'] });
+  assert.deepStrictEqual(changeMemberships(adminA, null, ['B']), { forbidden: ['B'] });
+
+  // and B's users and memberships stay out of their lists
+  assert.strictEqual(sharesWorkspace(adminA, memberB), false);
+  assert.deepStrictEqual(visibleMemberships(adminA, { ...memberB, workspaceIds: ['A', 'B'] }).workspaceIds, ['A']);
+});
+
+test('changing memberships keeps the workspaces the admin is not in', () => {
+  const admin = { workspaceIds: ['A', 'C'] };
+  const user = { workspaceIds: ['A', 'B'] };
+  assert.deepStrictEqual(changeMemberships(admin, user, ['C']), { workspaceIds: ['B', 'C'] });
+  assert.deepStrictEqual(changeMemberships(admin, user, []), { workspaceIds: ['B'] });
+  assert.deepStrictEqual(changeMemberships(admin, null, ['A', 'A']), { workspaceIds: ['A'] });
+  assert.strictEqual(sharesWorkspace(admin, user), true);
+  assert.strictEqual(sharesWorkspace(admin, { workspaceIds: [] }), true);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashKey, generateKey, bearerToken } = require('../lib/apiKeys');
+
+function request(authorization) {
+  return { get: name => (name.toLowerCase() === 'authorization' ? authorization : undefined) };
+}
+
+test('a generated key carries its prefix and only its hash is needed to check it', () => {
+  const { key, prefix, hash } = generateKey();
+  assert.match(key, /^xk_[0-9a-f]{8}_[A-Za-z0-9_-]{32}$/);
+  assert.strictEqual(key.split('_')[1], prefix);
+  assert.strictEqual(hash, hashKey(key));
+  assert.notStrictEqual(hash, hashKey(key + 'x'));
+  assert.notStrictEqual(generateKey().key, key);
+});
+
+test('the bearer token is read from the Authorization header only', () => {
+  assert.strictEqual(bearerToken(request('Bearer xk_ab_cd')), 'xk_ab_cd');
+  assert.strictEqual(bearerToken(request('bearer   xk_ab_cd')), 'xk_ab_cd');
+  assert.strictEqual(bearerToken(request('Basic dXNlcjpwYXNz')), null);
+  assert.strictEqual(bearerToken(request('Bearer two words')), null);
+  assert.strictEqual(bearerToken(request(undefined)), null);
+});
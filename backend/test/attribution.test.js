@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { attributeOrder, attributionSummary } = require('../lib/attribution');
+
+const order = { customer_email: 'ann@example.com', amount: 100, date: '2026-03-10T12:00:00Z' };
+
+test('first and last touch are the earliest and latest messages sent within the window', () => {
+  const logs = [
+    { id: 'm1', campaignId: 'too-old', status: 'OPENED', timestamp: '2026-03-02T12:00:00Z' },
+    { id: 'm2', campaignId: 'first', status: 'DELIVERED', timestamp: '2026-03-09T00:00:00Z', history: [{ status: 'SENT', at: '2026-03-04T12:00:00Z' }] },
+    { id: 'm3', campaignId: 'failed', status: 'FAILED', timestamp: '2026-03-08T12:00:00Z' },
+    { id: 'm4', campaignId: 'last', status: 'SENT', timestamp: '2026-03-10T11:00:00Z' },
+    { id: 'm5', campaignId: 'after', status: 'CLICKED', timestamp: '2026-03-10T13:00:00Z' }
+  ];
+  assert.deepStrictEqual(attributeOrder(order, logs, { windowDays: 7 }), {
+    window_days: 7,
+    first_touch: { campaignId: 'first', messageId: 'm2', sentAt: '2026-03-04T12:00:00.000Z' },
+    last_touch: { campaignId: 'last', messageId: 'm4', sentAt: '2026-03-10T11:00:00.000Z' }
+  });
+  assert.deepStrictEqual(attributeOrder(order, logs.slice(0, 1), { windowDays: 7 }), { window_days: 7, first_touch: null, last_touch: null });
+});
+
+test('the summary credits each model separately', () => {
+  const orders = [
+    { customer_email: 'a@example.com', amount: 10.005, attribution: { first_touch: { campaignId: 'c1' }, last_touch: { campaignId: 'c1' } } },
+    { customer_email: 'a@example.com', amount: 20, attribution: { first_touch: { campaignId: 'c1' }, last_touch: { campaignId: 'c2' } } },
+    { customer_email: 'b@example.com', amount: 5, attribution: { first_touch: null, last_touch: { campaignId: 'c1' } } },
+    { customer_email: 'c@example.com', amount: 7 }
+  ];
+  assert.deepStrictEqual(attributionSummary('c1', orders, 4), {
+    last_touch: { orders: 2, revenue: 15.01, conversion_rate: 0.5 },
+    first_touch: { orders: 2, revenue: 30.01, conversion_rate: 0.25 }
+  });
+  assert.strictEqual(attributionSummary('c1', orders, 0).last_touch.conversion_rate, null);
+});
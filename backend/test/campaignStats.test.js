@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { campaignStats, summarizeCampaign } = require('../lib/campaignStats');
+
+const campaign = { id: 'c1', name: 'Spring sale', status: 'COMPLETED' };
+
+function log(id, status, email, history) {
+  return { id, campaignId: 'c1', customer_email: email, status, history };
+}
+
+test('a message counts towards every stage it reached, retried entries once', () => {
+  const logs = [
+    log('1', 'CLICKED', 'a@example.com'),
+    log('2', 'OPENED', 'b@example.com'),
+    log('3', 'DELIVERED', 'c@example.com'),
+    log('4', 'BOUNCED', 'd@example.com'),
+    { ...log('5', 'FAILED', 'e@example.com'), retriedBy: '6' },
+    log('6', 'SENT', 'e@example.com'),
+    log('7', 'SUPPRESSED', 'f@example.com')
+  ];
+  const orders = [{ customer_email: 'a@example.com', amount: 50, attribution: { last_touch: { campaignId: 'c1' } } }];
+  const summary = summarizeCampaign(campaign, logs, orders);
+
+  assert.deepStrictEqual(summary.counts, {
+    audience: 6, sent: 5, delivered: 3, opened: 2, clicked: 1, failed: 0, bounced: 1, queued: 0, cancelled: 0, suppressed: 1
+  });
+  assert.deepStrictEqual(summary.rates, {
+    delivery_rate: 0.6, open_rate: 0.6667, click_rate: 0.3333, click_to_open_rate: 0.5, failure_rate: 0.2
+  });
+  assert.deepStrictEqual(summary.attribution.last_touch, { orders: 1, revenue: 50, conversion_rate: 0.2 });
+  assert.deepStrictEqual(summary.attribution.first_touch, { orders: 0, revenue: 0, conversion_rate: 0 });
+});
+
+test('delivery events are bucketed by hour, or by day for long spans', () => {
+  const logs = [
+    log('1', 'DELIVERED', 'a@example.com', [
+      { status: 'QUEUED', at: '2026-03-01T09:59:00Z' },
+      { status: 'SENT', at: '2026-03-01T10:05:00Z' },
+      { status: 'DELIVERED', at: '2026-03-01T12:30:00Z' }
+    ]),
+    { ...log('2', 'FAILED', 'b@example.com'), timestamp: '2026-03-01T10:40:00Z' }
+  ];
+  const hourly = campaignStats(campaign, logs, []).timeseries;
+  assert.strictEqual(hourly.interval, 'hour');
+  assert.deepStrictEqual(hourly.buckets.map(b => [b.t, b.SENT, b.DELIVERED, b.FAILED]), [
+    ['2026-03-01T10:00:00.000Z', 1, 0, 1],
+    ['2026-03-01T11:00:00.000Z', 0, 0, 0],
+    ['2026-03-01T12:00:00.000Z', 0, 1, 0]
+  ]);
+
+  logs.push({ ...log('3', 'OPENED', 'c@example.com'), timestamp: '2026-03-10T08:00:00Z' });
+  const daily = campaignStats(campaign, logs, []).timeseries;
+  assert.strictEqual(daily.interval, 'day');
+  assert.strictEqual(daily.buckets.length, 10);
+  assert.strictEqual(daily.buckets[9].OPENED, 1);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUnsubscribeTokens, normalizeAddress, hasConsent, suppressionReason } = require('../lib/consent');
+
+test('a missing channel counts as consented, false is an opt-out', () => {
+  assert.strictEqual(hasConsent({}, 'email'), true);
+  assert.strictEqual(hasConsent({ consent: { email: true } }, 'email'), true);
+  assert.strictEqual(hasConsent({ consent: { email: false } }, 'email'), false);
+  assert.strictEqual(hasConsent({ consent: { email: false } }, 'sms'), true);
+});
+
+test('suppressionReason reports opt-outs before suppressed addresses', () => {
+  const suppression = { address: 'a@example.com', reason: 'BOUNCE' };
+  assert.strictEqual(suppressionReason({}, 'email', null), null);
+  assert.strictEqual(suppressionReason({}, 'email', suppression).code, 'SUPPRESSED_ADDRESS');
+  assert.strictEqual(suppressionReason({ consent: { email: false } }, 'email', suppression).code, 'NO_CONSENT');
+});
+
+test('addresses are normalized for suppression lookups', () => {
+  assert.strictEqual(normalizeAddress(' A@Example.COM '), 'a@example.com');
+  assert.strictEqual(normalizeAddress('+1 (415) 555-0100'), '+14155550100');
+});
+
+test('unsubscribe tokens verify only with the signing secret and unchanged', () => {
+  const tokens = createUnsubscribeTokens('secret');
+  const token = tokens.sign('cust-1', 'sms');
+  assert.deepStrictEqual(tokens.verify(token), { customerId: 'cust-1', channel: 'sms' });
+  assert.strictEqual(createUnsubscribeTokens('other').verify(token), null);
+  const [, sig] = token.split('.');
+  const forged = `${Buffer.from('cust-2:sms').toString('base64url')}.${sig}`;
+  assert.strictEqual(tokens.verify(forged), null);
+  assert.strictEqual(tokens.verify(''), null);
+  assert.strictEqual(tokens.verify('garbage'), null);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeOrderStats, withOrderStats } = require('../lib/customerStats');
+
+const now = Date.parse('2026-03-31T00:00:00Z');
+
+test('order stats are summed per customer email, case-insensitively', () => {
+  const stats = computeOrderStats([
+    { customer_email: 'Ann@example.com', amount: 10.1, date: '2026-03-01T00:00:00Z', items: [{ sku: 'tea' }] },
+    { customer_email: 'ann@example.com', amount: 20.2, date: '2026-03-21T00:00:00Z', items: [{ sku: 'tea' }, { sku: 'mug' }] },
+    { customer_email: 'ann@example.com', amount: 5, date: 'not a date' }
+  ], now).get('ann@example.com');
+
+  assert.strictEqual(stats.order_count, 2);
+  assert.strictEqual(stats.order_total, 30.3);
+  assert.strictEqual(stats.avg_order_value, 15.15);
+  assert.strictEqual(stats.first_order_date, '2026-03-01T00:00:00.000Z');
+  assert.strictEqual(stats.last_order_date, '2026-03-21T00:00:00.000Z');
+  assert.strictEqual(stats.days_since_last_order, 10);
+  assert.deepStrictEqual(stats.skus, [
+    { sku: 'tea', last_purchased: '2026-03-21T00:00:00.000Z' },
+    { sku: 'mug', last_purchased: '2026-03-21T00:00:00.000Z' }
+  ]);
+});
+
+test('RFM scores rank recent, frequent and big buyers highest', () => {
+  const orders = [];
+  for (let i = 1; i <= 5; i++) {
+    for (let n = 0; n < i; n++) {
+      orders.push({ customer_email: `c${i}@example.com`, amount: i * 100, date: new Date(now - (6 - i) * 86400000).toISOString() });
+    }
+  }
+  const stats = computeOrderStats(orders, now);
+  assert.deepStrictEqual(stats.get('c5@example.com').rfm, { recency: 5, frequency: 5, monetary: 5, score: '555' });
+  assert.deepStrictEqual(stats.get('c1@example.com').rfm, { recency: 1, frequency: 1, monetary: 1, score: '111' });
+});
+
+test('customers without orders get empty stats', () => {
+  const [ann, bob] = withOrderStats(
+    [{ id: 'a', email: 'ANN@example.com' }, { id: 'b', email: 'bob@example.com' }],
+    [{ customer_email: 'ann@example.com', amount: 1, date: '2026-03-30T00:00:00Z' }],
+    now
+  );
+  assert.strictEqual(ann.stats.order_count, 1);
+  assert.strictEqual(bob.stats.order_count, 0);
+  assert.strictEqual(bob.stats.days_since_last_order, null);
+  assert.strictEqual(bob.stats.rfm.score, null);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { canTransition, transition, summarize } = require('../lib/deliveryStatus');
+
+test('statuses only move forward', () => {
+  assert.strictEqual(canTransition('QUEUED', 'SENT'), true);
+  assert.strictEqual(canTransition('SENT', 'OPENED'), true);
+  assert.strictEqual(canTransition('OPENED', 'DELIVERED'), false);
+  assert.strictEqual(canTransition('DELIVERED', 'DELIVERED'), false);
+  assert.strictEqual(canTransition('CLICKED', 'OPENED'), false);
+  assert.strictEqual(canTransition(null, 'QUEUED'), true);
+  assert.strictEqual(canTransition('SENT', 'UNKNOWN'), false);
+});
+
+test('final statuses are only reachable from their listed predecessors and never left', () => {
+  assert.strictEqual(canTransition('SENT', 'FAILED'), true);
+  assert.strictEqual(canTransition('DELIVERED', 'FAILED'), false);
+  assert.strictEqual(canTransition('DELIVERED', 'BOUNCED'), true);
+  assert.strictEqual(canTransition('QUEUED', 'BOUNCED'), false);
+  assert.strictEqual(canTransition('SENT', 'CANCELLED'), false);
+  ['FAILED', 'BOUNCED', 'CANCELLED', 'SUPPRESSED'].forEach(from => {
+    assert.strictEqual(canTransition(from, 'DELIVERED'), false);
+  });
+});
+
+test('a receipt appends to the history and records its idempotency key', () => {
+  const entry = { status: 'SENT', history: [{ status: 'SENT', at: 't0', source: 'send' }] };
+  const { duplicate, changes } = transition(entry, { status: 'DELIVERED', at: 't1', source: 'receipt', key: 'k1' });
+  assert.strictEqual(duplicate, false);
+  assert.deepStrictEqual(changes, {
+    status: 'DELIVERED',
+    updatedAt: 't1',
+    deliveredAt: 't1',
+    history: [{ status: 'SENT', at: 't0', source: 'send' }, { status: 'DELIVERED', at: 't1', source: 'receipt' }],
+    receiptKeys: ['k1']
+  });
+});
+
+test('a repeated receipt is a duplicate and an out-of-order one changes nothing', () => {
+  const entry = { status: 'OPENED', receiptKeys: ['k1'] };
+  assert.deepStrictEqual(transition(entry, { status: 'CLICKED', key: 'k1' }), { duplicate: true, changes: null });
+  assert.deepStrictEqual(transition(entry, { status: 'DELIVERED', key: 'k2' }), { duplicate: false, changes: null });
+});
+
+test('summarize counts each audience member once', () => {
+  const counts = summarize([
+    { status: 'QUEUED' },
+    { status: 'QUEUED', attempts: 1 },
+    { status: 'QUEUED', deferredUntil: 't' },
+    { status: 'DELIVERED' },
+    { status: 'BOUNCED' },
+    { status: 'FAILED', retriedBy: 'x' },
+    { status: 'CANCELLED' },
+    { status: 'SUPPRESSED' }
+  ]);
+  assert.deepStrictEqual(counts, { total: 7, queued: 1, retrying: 1, deferred: 1, sent: 1, failed: 1, cancelled: 1, suppressed: 1 });
+});
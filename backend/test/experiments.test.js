@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { variantsOf, assignVariant, experimentResults, compareRates } = require('../lib/experiments');
+
+const campaign = {
+  id: 'c1',
+  holdoutPercent: 10,
+  variants: [{ key: 'A', message: 'Hi', weight: 50 }, { key: 'B', message: 'Hello', weight: 50 }]
+};
+
+test('assignment is sticky per customer and follows the holdout share and weights', () => {
+  const counts = { A: 0, B: 0, HOLDOUT: 0 };
+  for (let i = 0; i < 2000; i++) {
+    const variant = assignVariant(campaign, `user${i}@example.com`);
+    counts[variant ? variant.key : 'HOLDOUT']++;
+  }
+  assert.ok(counts.HOLDOUT > 140 && counts.HOLDOUT < 260, JSON.stringify(counts));
+  assert.ok(Math.abs(counts.A - counts.B) < 200, JSON.stringify(counts));
+  assert.strictEqual(assignVariant(campaign, 'Ann@Example.com'), assignVariant(campaign, 'ann@example.com'));
+  assert.deepStrictEqual(variantsOf({ message: 'Hi' }), [{ key: 'A', message: 'Hi', subject: null, weight: 100 }]);
+});
+
+test('rate comparisons need enough data and report significance', () => {
+  assert.strictEqual(compareRates(5, 20, 2, 20).significance, 'insufficient_data');
+  const clear = compareRates(60, 200, 20, 200);
+  assert.strictEqual(clear.lift, 2);
+  assert.strictEqual(clear.significance, 'significant');
+  assert.ok(clear.p_value < 0.001);
+  assert.strictEqual(compareRates(21, 200, 20, 200).significance, 'not_significant');
+});
+
+test('conversions are compared against the holdout', () => {
+  const logs = [
+    { id: 'm1', customer_email: 'a@example.com', status: 'CLICKED', variant: 'A' },
+    { id: 'm2', customer_email: 'b@example.com', status: 'DELIVERED', variant: 'B' },
+    { id: 'm3', customer_email: 'c@example.com', status: 'SUPPRESSED' }
+  ];
+  const orders = [{ customer_email: 'b@example.com', amount: 40, attribution: { last_touch: { messageId: 'm2' } } }];
+  const holdouts = [
+    { customer_email: 'h1@example.com', assignedAt: '2026-03-01T00:00:00Z', orders: [{ date: '2026-03-03T00:00:00Z' }] },
+    { customer_email: 'h2@example.com', assignedAt: '2026-03-01T00:00:00Z', orders: [{ date: '2026-03-20T00:00:00Z' }] }
+  ];
+  const result = experimentResults(campaign, logs, orders, holdouts, { windowDays: 7 });
+
+  assert.deepStrictEqual(result.holdout, { key: 'HOLDOUT', recipients: 2, conversions: 1, conversion_rate: 0.5 });
+  const [a, b] = result.variants;
+  assert.deepStrictEqual([a.recipients, a.clicked, a.conversions, a.click_vs], [1, 1, 0, null]);
+  assert.deepStrictEqual([b.conversions, b.conversion_rate, b.revenue], [1, 1, 40]);
+  assert.strictEqual(b.conversion_vs.baseline, 'HOLDOUT');
+  assert.strictEqual(b.click_vs.baseline, 'A');
+});
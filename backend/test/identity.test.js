@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizePhone, mergeCustomers } = require('../lib/identity');
+const { hasConsent } = require('../lib/consent');
+
+const at = '2026-01-10T00:00:00.000Z';
+
+test('normalizePhone returns E.164 numbers', () => {
+  assert.strictEqual(normalizePhone('+1 (415) 555-0100'), '+14155550100');
+  assert.strictEqual(normalizePhone('0044 20 7946 0958'), '+442079460958');
+  assert.strictEqual(normalizePhone('098765 43210', '91'), '+919876543210');
+  assert.strictEqual(normalizePhone('call me'), null);
+  assert.strictEqual(normalizePhone(null), null);
+});
+
+test('merging keeps target values, fills blanks from the source and adds totals', () => {
+  const target = { id: 't', email: 't@example.com', name: 'Target', total_spent: 10.1, last_order_date: '2026-01-01', metadata: { tier: 'gold', a: { x: 1 } } };
+  const source = { id: 's', email: 's@example.com', name: 'Source', phone: '+14155550100', external_id: 'ext-1', total_spent: 5.2, last_order_date: '2026-01-05', metadata: { tier: 'silver', a: { y: 2 }, b: true } };
+  const merged = mergeCustomers(target, source, at);
+  assert.strictEqual(merged.name, 'Target');
+  assert.strictEqual(merged.phone, '+14155550100');
+  assert.strictEqual(merged.external_id, 'ext-1');
+  assert.strictEqual(merged.total_spent, 15.3);
+  assert.strictEqual(merged.last_order_date, '2026-01-05');
+  assert.deepStrictEqual(merged.metadata, { tier: 'gold', a: { x: 1, y: 2 }, b: true });
+  assert.deepStrictEqual(merged.mergedFrom, [{ id: 's', email: 's@example.com', phone: '+14155550100', external_id: 'ext-1', mergedAt: at }]);
+});
+
+test('merging keeps every opt-out of either customer', () => {
+  const target = { id: 't', consent: { email: true, sms: true } };
+  const source = { id: 's', consent: { email: false, whatsapp: false } };
+  const merged = mergeCustomers(target, source, at);
+  assert.deepStrictEqual(merged.consent, { email: false, sms: true, whatsapp: false });
+  assert.strictEqual(hasConsent(merged, 'email'), false);
+  assert.strictEqual(hasConsent(merged, 'whatsapp'), false);
+  assert.strictEqual(hasConsent(merged, 'sms'), true);
+  assert.deepStrictEqual(mergeCustomers(source, target, at).consent, merged.consent);
+});
+
+test('merging joins both consent logs in time order', () => {
+  const target = { id: 't', consentLog: [
+    { channel: 'email', granted: true, at: '2026-01-01T00:00:00.000Z', source: 'api' },
+    { channel: 'sms', granted: true, at: '2026-01-03T00:00:00.000Z', source: 'api' }
+  ] };
+  const source = { id: 's', consentLog: [{ channel: 'email', granted: false, at: '2026-01-02T00:00:00.000Z', source: 'unsubscribe' }] };
+  const merged = mergeCustomers(target, source, at);
+  assert.deepStrictEqual(merged.consentLog.map(e => e.at), ['2026-01-01T00:00:00.000Z', '2026-01-02T00:00:00.000Z', '2026-01-03T00:00:00.000Z']);
+  assert.deepStrictEqual(mergeCustomers({ id: 't' }, { id: 's' }, at).consentLog, []);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { setImmediate: nextTick } = require('timers/promises');
+const { readRows, applyMapping } = require('../lib/importParser');
+
+// Reads `chunks` as a request body arriving in those pieces.
+async function rows(chunks, format = 'csv') {
+  async function* body() {
+    for (const chunk of chunks) {
+      yield Buffer.from(chunk);
+      await nextTick();
+    }
+  }
+  const stream = Readable.from(body(), { objectMode: false });
+  const items = [];
+  for await (const item of readRows(stream, format)) items.push(item);
+  return items;
+}
+
+test('CSV fields may be quoted, contain commas, escaped quotes and newlines', async () => {
+  const csv = '\uFEFFname, email ,note\r\n'
+    + '"Lee, Ann",ann@example.com,"said ""hi""\r\nthen left"\r\n'
+    + '\r\n'
+    + 'Bob,bob@example.com,\r\n'
+    + 'Cy,cy@example.com\n'
+    + '"",dee@example.com,"last"';
+  assert.deepStrictEqual(await rows([csv]), [
+    { row: 1, record: { name: 'Lee, Ann', email: 'ann@example.com', note: 'said "hi"\r\nthen left' } },
+    { row: 2, record: { name: 'Bob', email: 'bob@example.com', note: '' } },
+    { row: 3, error: 'Expected 3 columns, got 2' },
+    { row: 4, record: { name: '', email: 'dee@example.com', note: 'last' } }
+  ]);
+});
+
+test('chunk boundaries inside quotes, escaped quotes and multi-byte characters are handled', async () => {
+  const csv = Buffer.from('name,note\n"Zoë","a ""b"" c"\n');
+  const cuts = [];
+  for (let i = 1; i < csv.length; i++) cuts.push([csv.subarray(0, i), csv.subarray(i)]);
+  for (const chunks of cuts) {
+    assert.deepStrictEqual(await rows(chunks), [{ row: 1, record: { name: 'Zoë', note: 'a "b" c' } }], `split at ${chunks[0].length}`);
+  }
+  assert.deepStrictEqual(await rows([Buffer.from('\uFEFFname\n'), 'Ann\n']), [{ row: 1, record: { name: 'Ann' } }]);
+});
+
+test('NDJSON rows that are not JSON objects are reported', async () => {
+  const items = await rows(['{"email":"ann@example.com"}\n\n[1]\n{"email":', '"bob@example.com"}\nnope'], 'ndjson');
+  assert.deepStrictEqual(items.map(i => [i.row, i.record ? i.record.email : 'error']), [
+    [1, 'ann@example.com'], [2, 'error'], [3, 'bob@example.com'], [4, 'error']
+  ]);
+});
+
+test('mapping picks source columns, builds metadata and parses JSON cells', () => {
+  const record = { Email: 'ann@example.com', amount: '12', items: '[{"sku":"tea"}]', City: 'Pune', Tier: '' };
+  assert.deepStrictEqual(
+    applyMapping(record, ['customer_email', 'amount', 'items', 'date'], { customer_email: 'Email', 'metadata.city': 'City', 'metadata.tier': 'Tier' }),
+    { customer_email: 'ann@example.com', amount: '12', items: [{ sku: 'tea' }], metadata: { city: 'Pune' } }
+  );
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRetryQueue } = require('../lib/retryQueue');
+
+test('without Redis a failing job is retried with exponential backoff', async () => {
+  const attempts = [];
+  let done;
+  const finished = new Promise(resolve => { done = resolve; });
+  const queue = createRetryQueue('test-retries', {
+    attempts: 3,
+    delayMs: 20,
+    handler: async (data, attempt) => {
+      attempts.push({ id: data.id, attempt, at: Date.now() });
+      if (attempt < 3) throw new Error('vendor down');
+      done();
+    }
+  });
+  assert.strictEqual(queue.driver, 'memory');
+
+  const start = Date.now();
+  await queue.add({ id: 'log-1' });
+  await finished;
+  assert.deepStrictEqual(attempts.map(a => [a.id, a.attempt]), [['log-1', 1], ['log-1', 2], ['log-1', 3]]);
+  // 20 + 40 + 80 ms; timers never fire early
+  assert.ok(attempts[0].at - start >= 19);
+  assert.ok(attempts[1].at - attempts[0].at >= 39);
+  assert.ok(attempts[2].at - attempts[1].at >= 79);
+});
+
+test('retries stop after the last attempt', async t => {
+  t.mock.method(console, 'error', () => {});
+  const attempts = [];
+  const queue = createRetryQueue('test-give-up', {
+    attempts: 2,
+    delayMs: 5,
+    handler: async (data, attempt) => {
+      attempts.push(attempt);
+      throw new Error('still down');
+    }
+  });
+  await queue.add({ id: 'log-2' });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.deepStrictEqual(attempts, [1, 2]);
+  assert.strictEqual(console.error.mock.callCount(), 1);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { createScheduler, nextCronRun, validateCron, upcomingRuns } = require('../lib/scheduler');
+
+function jsonStorage(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return createStorage({ driver: 'json', dataDir });
+}
+
+test('cron runs follow the schedule timezone', () => {
+  const from = new Date('2026-03-02T00:00:00Z'); // a Monday
+  assert.strictEqual(nextCronRun('0 10 * * 1', 'UTC', from).toISOString(), '2026-03-02T10:00:00.000Z');
+  assert.strictEqual(nextCronRun('0 10 * * 1', 'Asia/Kolkata', from).toISOString(), '2026-03-02T04:30:00.000Z');
+  assert.deepStrictEqual(
+    upcomingRuns({ status: 'ACTIVE', type: 'recurring', cron: '0 10 * * *', timezone: 'UTC', nextRunAt: '2026-03-02T10:00:00Z' }),
+    ['2026-03-02T10:00:00.000Z', '2026-03-03T10:00:00.000Z', '2026-03-04T10:00:00.000Z']
+  );
+  assert.deepStrictEqual(upcomingRuns({ status: 'DONE', type: 'once', runAt: '2026-03-02T10:00:00Z' }), []);
+});
+
+test('invalid cron expressions and timezones are rejected', () => {
+  assert.doesNotThrow(() => validateCron('*/15 9-17 * * 1-5', 'Europe/Berlin'));
+  assert.throws(() => validateCron('0 10 * *'), /5 fields/);
+  assert.throws(() => validateCron('0 25 * * *'), /Invalid cron/);
+  assert.throws(() => validateCron('0 10 * * *', 'Mars/Olympus'), /Unknown timezone/);
+});
+
+test('a tick runs due schedules once and re-arms recurring ones', async t => {
+  const db = jsonStorage(t);
+  const past = new Date(Date.now() - 60000).toISOString();
+  const future = new Date(Date.now() + 3600000).toISOString();
+  await db.schedules.insertMany([
+    { id: 'once', campaignId: 'c1', type: 'once', runAt: past, nextRunAt: past, status: 'ACTIVE', runs: 0 },
+    { id: 'daily', campaignId: 'c2', type: 'recurring', cron: '0 10 * * *', timezone: 'UTC', nextRunAt: past, status: 'ACTIVE', runs: 0 },
+    { id: 'later', campaignId: 'c3', type: 'once', runAt: future, nextRunAt: future, status: 'ACTIVE', runs: 0 }
+  ]);
+  const ran = [];
+  const scheduler = createScheduler({
+    db,
+    runCampaign: async id => {
+      ran.push(id);
+      if (id === 'c2') throw new Error('no audience');
+      return { audience_count: 3, progress: { queued: 3 } };
+    }
+  });
+
+  await Promise.all([scheduler.tick(), scheduler.tick()]);
+  await scheduler.tick();
+  assert.deepStrictEqual(ran, ['c1', 'c2']);
+
+  const once = await db.schedules.get('once');
+  assert.strictEqual(once.status, 'DONE');
+  assert.strictEqual(once.runs, 1);
+  assert.deepStrictEqual(once.lastResult, { ok: true, audience_count: 3, queued: 3 });
+  const daily = await db.schedules.get('daily');
+  assert.strictEqual(daily.status, 'ACTIVE');
+  assert.ok(new Date(daily.nextRunAt) > new Date());
+  assert.deepStrictEqual(daily.lastResult, { ok: false, error: 'no audience' });
+  assert.strictEqual((await db.schedules.get('later')).runs, 0);
+});
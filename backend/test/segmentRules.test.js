@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { segmentRulesSchema, validateSegment, matchesSegment } = require('../lib/segmentRules');
+
+const nested = {
+  logic: 'AND',
+  conditions: [
+    { field: 'total_spent', op: 'gt', value: 100 },
+    {
+      logic: 'OR',
+      conditions: [
+        { field: 'email', op: 'contains', value: '@example.com' },
+        { field: 'metadata.tier', op: 'eq', value: 'gold' }
+      ]
+    }
+  ]
+};
+
+test('a segment with nested groups validates for saving as it does for preview', () => {
+  const preview = segmentRulesSchema.validate(nested);
+  assert.ifError(preview.error);
+
+  const saved = validateSegment({ name: ' Big spenders ', ...nested });
+  assert.ifError(saved.error);
+  assert.strictEqual(saved.value.name, 'Big spenders');
+  assert.deepStrictEqual(saved.value.conditions, preview.value.conditions);
+  assert.strictEqual(saved.value.logic, preview.value.logic);
+});
+
+test('saving requires a name on the segment only', () => {
+  const { error } = validateSegment(nested);
+  assert.match(error.details[0].message, /"name" is required/);
+  assert.match(validateSegment({ name: '  ', ...nested }).error.details[0].message, /"name"/);
+});
+
+test('saving rejects the same rules preview rejects', () => {
+  const bad = { logic: 'AND', conditions: [{ logic: 'OR', conditions: [{ field: 'nope', op: 'eq', value: 1 }] }] };
+  assert.ok(segmentRulesSchema.validate(bad).error);
+  assert.ok(validateSegment({ name: 'Bad', ...bad }).error);
+  assert.ok(validateSegment({ name: 'Extra', unknown: true, ...nested }).error);
+});
+
+test('a saved nested segment matches customers like the preview', () => {
+  const { value } = validateSegment({ name: 'Big spenders', ...nested });
+  assert.strictEqual(matchesSegment({ total_spent: 150, email: 'a@example.com' }, value), true);
+  assert.strictEqual(matchesSegment({ total_spent: 150, email: 'a@other.com', metadata: { tier: 'gold' } }, value), true);
+  assert.strictEqual(matchesSegment({ total_spent: 150, email: 'a@other.com' }, value), false);
+  assert.strictEqual(matchesSegment({ total_spent: 50, email: 'a@example.com' }, value), false);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSendQueue, createThrottle } = require('../lib/sendQueue');
+
+test('without Redis jobs run one at a time in order, and a failing job does not stop the rest', async t => {
+  t.mock.method(console, 'error', () => {});
+  const events = [];
+  let done;
+  const finished = new Promise(resolve => { done = resolve; });
+  const queue = createSendQueue('test-sends', {
+    handler: async data => {
+      events.push(`start ${data.batch}`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      events.push(`end ${data.batch}`);
+      if (data.batch === 2) throw new Error('vendor down');
+      if (data.batch === 3) done();
+    }
+  });
+  assert.strictEqual(queue.driver, 'memory');
+
+  await queue.add({ batch: 1 });
+  await queue.add({ batch: 2 });
+  await queue.add({ batch: 3 });
+  await finished;
+  assert.deepStrictEqual(events, ['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+  assert.strictEqual(console.error.mock.callCount(), 1);
+});
+
+test('the throttle spaces calls evenly', async () => {
+  const throttle = createThrottle(50); // one call every 20 ms
+  const start = Date.now();
+  for (let i = 0; i < 5; i++) await throttle();
+  assert.ok(Date.now() - start >= 79);
+
+  const unlimited = createThrottle(0);
+  const before = Date.now();
+  for (let i = 0; i < 100; i++) await unlimited();
+  assert.ok(Date.now() - before < 50);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_RULES, isTimezone, deferral } = require('../lib/sendRules');
+
+const DAY = 24 * 60 * 60 * 1000;
+const quietRules = { ...DEFAULT_RULES, quietHours: { start: '21:00', end: '08:00' } };
+
+test('quiet hours that wrap midnight hold messages until the window ends', () => {
+  const customer = { email: 'ann@example.com' };
+  const late = deferral(customer, [], quietRules, new Date('2026-03-01T23:30:00Z'));
+  assert.strictEqual(late.code, 'QUIET_HOURS');
+  assert.strictEqual(late.until, '2026-03-02T08:00:00.000Z');
+  assert.strictEqual(deferral(customer, [], quietRules, new Date('2026-03-02T07:59:30Z')).until, '2026-03-02T08:00:00.000Z');
+  assert.strictEqual(deferral(customer, [], quietRules, new Date('2026-03-02T08:00:00Z')), null);
+  assert.strictEqual(deferral(customer, [], quietRules, new Date('2026-03-02T20:59:00Z')), null);
+  assert.strictEqual(deferral(customer, [], quietRules, new Date('2026-03-02T21:00:00Z')).until, '2026-03-03T08:00:00.000Z');
+});
+
+test('quiet hours use the customer timezone, then the workspace default', () => {
+  const now = new Date('2026-03-01T18:00:00Z'); // 23:30 in Kolkata, 18:00 in UTC
+  assert.strictEqual(deferral({ timezone: 'Asia/Kolkata' }, [], quietRules, now).until, '2026-03-02T02:30:00.000Z');
+  assert.strictEqual(deferral({ metadata: { timezone: 'Asia/Kolkata' } }, [], quietRules, now).until, '2026-03-02T02:30:00.000Z');
+  assert.strictEqual(deferral({ timezone: 'Nowhere/Else' }, [], quietRules, now), null);
+  assert.strictEqual(deferral({}, [], { ...quietRules, defaultTimezone: 'Asia/Kolkata' }, now).code, 'QUIET_HOURS');
+  assert.ok(isTimezone('Asia/Kolkata'));
+  assert.ok(!isTimezone('Nowhere/Else'));
+});
+
+test('the frequency cap counts sent messages in the rolling window', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const rules = { ...DEFAULT_RULES, frequencyCap: { maxMessages: 2, periodDays: 7 } };
+  const sent = daysAgo => ({ status: 'DELIVERED', timestamp: new Date(now - daysAgo * DAY).toISOString() });
+  const logs = [
+    sent(8), // outside the window
+    sent(5),
+    { status: 'OPENED', timestamp: now.toISOString(), history: [{ status: 'SENT', at: new Date(now - 1 * DAY).toISOString() }] },
+    { status: 'FAILED', timestamp: now.toISOString() },
+    { status: 'QUEUED', timestamp: now.toISOString() }
+  ];
+  const capped = deferral({}, logs, rules, now);
+  assert.strictEqual(capped.code, 'FREQUENCY_CAP');
+  // the message sent five days ago leaves the window in two days
+  assert.strictEqual(capped.until, new Date(now.getTime() + 2 * DAY).toISOString());
+  assert.strictEqual(deferral({}, logs.slice(0, 2), rules, now), null);
+});
+
+test('a capped message that would be released in quiet hours waits for both', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const rules = { ...quietRules, frequencyCap: { maxMessages: 1, periodDays: 1 } };
+  const logs = [{ status: 'SENT', timestamp: '2026-03-09T22:30:00Z' }];
+  assert.deepStrictEqual(deferral({}, logs, rules, now), {
+    code: 'FREQUENCY_CAP',
+    message: 'Frequency cap of 1 per 1 days reached',
+    until: '2026-03-11T08:00:00.000Z'
+  });
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const session = require('express-session');
+const { createSessionStore, sessionHandle } = require('../lib/sessionStore');
+
+function fileStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  const store = createSessionStore(session, { dir, ttlMs: 60 * 1000 });
+  const call = name => promisify(store[name].bind(store));
+  return { dir, store, get: call('get'), set: call('set'), touch: call('touch'), destroy: call('destroy'), all: call('all') };
+}
+
+const sess = n => ({ cookie: { expires: new Date(Date.now() + 60 * 1000).toISOString() }, n });
+
+test('overlapping writes of one session all succeed and the last one wins', async t => {
+  const { dir, store, get, set, touch } = fileStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  assert.strictEqual(store.driver, 'file');
+
+  await Promise.all(Array.from({ length: 20 }, (_, n) => (n % 2 ? touch : set)('sid-1', sess(n))));
+  assert.strictEqual((await get('sid-1')).n, 19);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['sid-1.json']);
+});
+
+test('a destroy queued behind a write removes the session', async t => {
+  const { dir, get, set, destroy, all } = fileStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await Promise.all([set('sid-1', sess(1)), set('sid-2', sess(2)), destroy('sid-1')]);
+  assert.strictEqual(await get('sid-1'), null);
+  assert.deepStrictEqual(Object.keys(await all()), ['sid-2']);
+});
+
+test('expired sessions and ids outside the store are not read', async t => {
+  const { dir, get, set } = fileStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await set('old', { cookie: { expires: new Date(Date.now() - 1000).toISOString() } });
+  assert.strictEqual(await get('old'), null);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+  assert.strictEqual(await get('../escape'), null);
+  await assert.rejects(set('../escape', sess(1)), /Invalid session id/);
+});
+
+test('reading an expired session does not delete a write that overtook it', async t => {
+  const { dir, get, set } = fileStore();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await set('sid-1', { cookie: { expires: new Date(Date.now() - 1000).toISOString() } });
+  const [expired] = await Promise.all([get('sid-1'), set('sid-1', sess(2))]);
+  assert.strictEqual(expired, null);
+  assert.strictEqual((await get('sid-1')).n, 2);
+});
+
+test('session handles are stable and do not reveal the id', () => {
+  assert.strictEqual(sessionHandle('abc'), sessionHandle('abc'));
+  assert.notStrictEqual(sessionHandle('abc'), sessionHandle('abd'));
+  assert.ok(!sessionHandle('abc').includes('abc'));
+});
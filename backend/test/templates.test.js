@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateTemplate, renderTemplate, describeTemplateSyntax } = require('../lib/templates');
+
+const customer = {
+  name: ' ann  lee',
+  email: 'ann@example.com',
+  total_spent: 1234.5,
+  metadata: { city: 'Pune', address: { zip: '411001' } },
+  stats: { order_count: 3 }
+};
+
+test('merge tags render customer fields, stats, metadata and filters', () => {
+  const template = 'Hi {{first_name | capitalize}}, {{order_count}} orders, {{total_spent | currency}} from {{ metadata.city | upper }} {{metadata.address.zip}}';
+  assert.deepStrictEqual(validateTemplate(template), []);
+  assert.strictEqual(renderTemplate(template, customer), 'Hi Ann, 3 orders, ₹1,234.50 from PUNE 411001');
+});
+
+test('missing values render empty unless a default is given', () => {
+  const template = '{{metadata.tier}}|{{metadata.tier | default:"a|b"}}|{{phone | default:\'none\'}}';
+  assert.deepStrictEqual(validateTemplate(template), []);
+  assert.strictEqual(renderTemplate(template, customer), '|a|b|none');
+});
+
+test('typos are reported before anything is sent', () => {
+  assert.deepStrictEqual(validateTemplate('Hi {{nmae}} {{name | shout}} {{ }} {{email'), [
+    'Unbalanced {{ }} in message',
+    'Unknown variable "nmae" in {{nmae}}',
+    'Unknown filter "shout" in {{name | shout}}',
+    'Empty merge tag {{ }}'
+  ]);
+  assert.ok(describeTemplateSyntax().variables.includes('metadata.<key>'));
+});
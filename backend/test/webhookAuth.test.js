@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWebhookVerifier, repositoryReplayStore, configFromEnv, parseSecrets, signedHeaders } = require('../lib/webhookAuth');
+const { createStorage } = require('../storage');
+
+const body = JSON.stringify({ vendorMessageId: 'm1', status: 'DELIVERED' });
+const now = Date.UTC(2026, 0, 1);
+
+// Just enough of an express request for verify().
+function request(headers, rawBody = body, ip = '10.0.0.5') {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { ip, rawBody: Buffer.from(rawBody), get: name => lower[name.toLowerCase()] };
+}
+
+function verifier(env = {}, replays) {
+  return createWebhookVerifier(configFromEnv({ RECEIPT_SECRETS: 'email-api=s3cret,sms-api=other', ...env }), replays);
+}
+
+test('parseSecrets reads vendor=secret pairs', () => {
+  assert.deepStrictEqual(parseSecrets(' email-api=a, sms-api=b=c ,bad,'), { 'email-api': 'a', 'sms-api': 'b=c' });
+});
+
+test('a correctly signed receipt is accepted once', async () => {
+  const verify = verifier();
+  const headers = signedHeaders('email-api', 's3cret', body, now);
+  assert.deepStrictEqual(await verify(request(headers), now), { ok: true, vendor: 'email-api' });
+  const replay = await verify(request(headers), now + 1000);
+  assert.strictEqual(replay.ok, false);
+  assert.strictEqual(replay.status, 409);
+});
+
+test('unsigned, unknown-vendor, tampered and wrongly keyed receipts are refused', async () => {
+  const verify = verifier();
+  const signed = signedHeaders('email-api', 's3cret', body, now);
+  const cases = [
+    [request({}), /Missing signature headers/],
+    [request(signedHeaders('push-api', 's3cret', body, now)), /Unknown vendor/],
+    [request(signed, body.replace('DELIVERED', 'CLICKED')), /Invalid signature/],
+    [request(signedHeaders('email-api', 'other', body, now)), /Invalid signature/],
+    [request({ ...signedHeaders('sms-api', 'other', body, now), 'x-vendor-id': 'email-api' }), /Invalid signature/]
+  ];
+  for (const [req, reason] of cases) {
+    const result = await verify(req, now);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.status, 401);
+    assert.match(result.reason, reason);
+  }
+});
+
+test('signatures outside the tolerance window are refused', async () => {
+  const verify = verifier({ RECEIPT_TOLERANCE_SECONDS: '60' });
+  const old = signedHeaders('email-api', 's3cret', body, now - 61 * 1000);
+  assert.match((await verify(request(old), now)).reason, /outside the allowed window/);
+  const future = signedHeaders('email-api', 's3cret', body, now + 61 * 1000);
+  assert.match((await verify(request(future), now)).reason, /outside the allowed window/);
+});
+
+test('the IP allowlist is checked before the signature, also with auth off', async () => {
+  const verify = verifier({ RECEIPT_IP_ALLOWLIST: '10.0.0.0/24,::1', RECEIPT_AUTH: 'off' });
+  assert.deepStrictEqual(await verify(request({}, body, '::ffff:10.0.0.7'), now), { ok: true, vendor: null });
+  assert.deepStrictEqual(await verify(request({}, body, '::1'), now), { ok: true, vendor: null });
+  const refused = await verify(request({}, body, '192.168.1.1'), now);
+  assert.strictEqual(refused.status, 403);
+  assert.throws(() => verifier({ RECEIPT_IP_ALLOWLIST: 'not-an-ip' }), /Invalid address/);
+});
+
+test('seen signatures kept in a repository survive a restart', async t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const headers = signedHeaders('email-api', 's3cret', body, now);
+
+  const before = verifier({}, repositoryReplayStore(createStorage({ driver: 'json', dataDir }).webhookSignatures));
+  assert.strictEqual((await before(request(headers), now)).ok, true);
+
+  const after = verifier({}, repositoryReplayStore(createStorage({ driver: 'json', dataDir }).webhookSignatures));
+  assert.strictEqual((await after(request(headers), now + 1000)).status, 409);
+});
+
+test('concurrent copies of a request get through only once', async t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const verify = verifier({}, repositoryReplayStore(createStorage({ driver: 'json', dataDir }).webhookSignatures));
+  const headers = signedHeaders('email-api', 's3cret', body, now);
+
+  const results = await Promise.all([1, 2, 3].map(() => verify(request(headers), now)));
+  assert.deepStrictEqual(results.map(r => r.ok), [true, false, false]);
+});
+
+test('expired signatures are pruned from the repository', async t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const repo = createStorage({ driver: 'json', dataDir }).webhookSignatures;
+  const replays = repositoryReplayStore(repo, { pruneEveryMs: 0 });
+
+  assert.strictEqual(await replays.claim('sig-1', now + 1000, now), true);
+  assert.strictEqual(await replays.claim('sig-1', now + 3000, now + 500), false);
+  assert.strictEqual(await replays.claim('sig-2', now + 5000, now + 2000), true);
+  assert.deepStrictEqual((await repo.list()).map(d => d.id), ['sig-2']);
+  assert.strictEqual(await replays.claim('sig-1', now + 6000, now + 2500), true);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+
+function jsonStorage(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return createStorage({ driver: 'json', dataDir });
+}
+
+test('a workspace only sees and changes its own documents', async t => {
+  const db = jsonStorage(t);
+  const a = db.forWorkspace('a');
+  const b = db.forWorkspace('b');
+  await a.segments.insert({ id: 's1', name: 'A segment' });
+  await b.segments.insertMany([{ id: 's2', name: 'B segment' }]);
+
+  assert.deepStrictEqual((await a.segments.list()).map(s => s.id), ['s1']);
+  assert.strictEqual((await db.segments.get('s2')).workspaceId, 'b');
+  assert.strictEqual(await a.segments.get('s2'), null);
+  assert.deepStrictEqual(await a.segments.findBy('name', 'B segment'), []);
+  assert.strictEqual(await a.segments.findOne('name', 'B segment'), null);
+
+  assert.strictEqual(await a.segments.update('s2', { name: 'taken over' }), null);
+  assert.strictEqual((await db.segments.get('s2')).name, 'B segment');
+  assert.strictEqual(await a.segments.remove('s2'), false);
+  assert.strictEqual(await a.segments.removeMany(['s2']), 0);
+  assert.ok(await db.segments.get('s2'));
+
+  assert.deepStrictEqual(await a.segments.updateMany(['s1', 's2'], { name: 'renamed' }), [{ id: 's1', name: 'renamed', workspaceId: 'a' }]);
+  assert.strictEqual((await db.segments.get('s2')).name, 'B segment');
+  assert.strictEqual((await a.segments.update('s1', current => ({ name: `${current.name} again` }))).name, 'renamed again');
+  assert.strictEqual(await a.segments.remove('s1'), true);
+});
+
+test('a document cannot be moved into another workspace', async t => {
+  const db = jsonStorage(t);
+  const a = db.forWorkspace('a');
+  await a.customers.insert({ id: 'c1', email: 'c@example.com', workspaceId: 'b' });
+  assert.strictEqual((await db.customers.get('c1')).workspaceId, 'a');
+  assert.throws(() => a.customers.drain(), /not available/);
+});
+
+test('global collections are shared', async t => {
+  const db = jsonStorage(t);
+  await db.forWorkspace('a').users.insert({ id: 'u1', email: 'u@example.com' });
+  assert.ok(await db.forWorkspace('b').users.get('u1'));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { bufferStorage } = require('../storage/writeBuffer');
+
+function jsonStorage(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return createStorage({ driver: 'json', dataDir });
+}
+
+test('buffered writes are read back at once and stored on flush', async t => {
+  const db = jsonStorage(t);
+  const wdb = db.forWorkspace('a');
+  await wdb.customers.insert({ id: 'c1', email: 'ann@example.com', total_spent: 10 });
+  const chunk = bufferStorage(wdb, ['customers']);
+
+  await chunk.customers.insert({ id: 'c2', email: 'bob@example.com', total_spent: 0 });
+  await chunk.customers.update('c1', current => ({ total_spent: current.total_spent + 5 }));
+  await chunk.customers.update('c1', { email: 'ann@example.org' });
+  assert.strictEqual((await chunk.customers.findOne('email', 'bob@example.com')).id, 'c2');
+  assert.strictEqual(await chunk.customers.findOne('email', 'ann@example.com'), null);
+  assert.strictEqual((await chunk.customers.findOne('email', 'ann@example.org')).total_spent, 15);
+  assert.strictEqual(await wdb.customers.get('c2'), null);
+
+  await chunk.flush();
+  assert.deepStrictEqual((await wdb.customers.list()).map(c => [c.id, c.email, c.total_spent]), [
+    ['c1', 'ann@example.org', 15],
+    ['c2', 'bob@example.com', 0]
+  ]);
+  assert.strictEqual((await db.customers.get('c2')).workspaceId, 'a');
+});
+
+test('a flush only writes the fields the chunk changed', async t => {
+  const db = jsonStorage(t);
+  await db.customers.insert({ id: 'c1', name: 'Ann', total_spent: 10 });
+  const chunk = bufferStorage(db, ['customers']);
+  await chunk.customers.update('c1', { total_spent: 20 });
+  await db.customers.update('c1', { name: 'Ann B.' });
+
+  await chunk.flush();
+  assert.deepStrictEqual(await db.customers.get('c1'), { id: 'c1', name: 'Ann B.', total_spent: 20 });
+  await chunk.flush();
+  assert.strictEqual((await db.customers.list()).length, 1);
+});
+
+test('collections that are not buffered are passed through', async t => {
+  const db = jsonStorage(t);
+  const chunk = bufferStorage(db, ['customers']);
+  await chunk.orders.insert({ id: 'o1' });
+  assert.ok(await db.orders.get('o1'));
+  assert.throws(() => chunk.customers.remove('c1'), /not available/);
+});
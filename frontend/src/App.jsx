@@ -4,8 +4,14 @@ import { Routes, Route, Link, Navigate } from 'react-router-dom'
 import axios from 'axios'
 import Home from './pages/Home'
 import CreateSegment from './pages/CreateSegment'
+import Segments from './pages/Segments'
 import Campaigns from './pages/Campaigns'
+import Analytics from './pages/Analytics'
+import Imports from './pages/Imports'
+import CustomerProfile from './pages/CustomerProfile'
 import Logs from './pages/Logs'
+import Settings from './pages/Settings'
+import Admin from './pages/Admin'
 
 /*
   API_BASE resolution priority:
@@ -41,8 +47,13 @@ const API_BASE = (() => {
 axios.defaults.withCredentials = true // required if you use cookies for session
 axios.defaults.baseURL = API_BASE
 
+// Every API call works in the workspace picked in the top bar (sent as X-Workspace-Id);
+// the choice is remembered per browser.
+const WORKSPACE_KEY = 'workspaceId'
+
 export default function App() {
   const [user, setUser] = useState(null)
+  const [workspaceId, setWorkspaceId] = useState(null)
   const [loading, setLoading] = useState(true)
 
   useEffect(() => {
@@ -50,9 +61,14 @@ export default function App() {
     axios.get('/me')
       .then(res => {
         // defensive: res.data might be shaped differently; adapt if needed
-        setUser(res.data?.data ?? res.data ?? null)
+        const me = res.data?.data ?? res.data ?? null
+        const workspaces = me?.workspaces || []
+        const current = workspaces.find(w => w.id === localStorage.getItem(WORKSPACE_KEY)) || workspaces[0]
+        if (current) axios.defaults.headers.common['X-Workspace-Id'] = current.id
+        setWorkspaceId(current ? current.id : null)
+        setUser(me)
       })
-      .catch(err => {
+      .catch(() => {
         setUser(null)
         // optionally log for debugging (remove in prod)
         // console.error('me fetch error', err)
@@ -74,6 +90,12 @@ export default function App() {
       })
   }
 
+  // reload so no page keeps showing the previous workspace's data
+  const handleWorkspaceChange = (e) => {
+    localStorage.setItem(WORKSPACE_KEY, e.target.value)
+    window.location.reload()
+  }
+
   if (loading) return <div>Loading...</div>
 
   return (
@@ -85,12 +107,26 @@ export default function App() {
             <Link to="/">Home</Link>
             {user && (
               <>
+                {" | "}
+                <Link to="/segments">Segments</Link>
                 {" | "}
                 <Link to="/create">Create Segment</Link>
                 {" | "}
                 <Link to="/campaigns">Campaigns</Link>
                 {" | "}
+                <Link to="/analytics">Analytics</Link>
+                {" | "}
+                <Link to="/imports">Import</Link>
+                {" | "}
                 <Link to="/logs">Logs</Link>
+                {" | "}
+                <Link to="/settings">Settings</Link>
+                {user.role === 'admin' && (
+                  <>
+                    {" | "}
+                    <Link to="/admin">Admin</Link>
+                  </>
+                )}
               </>
             )}
           </nav>
@@ -99,6 +135,13 @@ export default function App() {
         <div>
           {user ? (
             <div style={{display: "flex", gap: "10px", alignItems: "center"}}>
+              {user.workspaces?.length > 0 && (
+                <select value={workspaceId || ''} onChange={handleWorkspaceChange} title="Workspace">
+                  {user.workspaces.map(w => (
+                    <option key={w.id} value={w.id}>{w.name}</option>
+                  ))}
+                </select>
+              )}
               <span>👤 {user.displayName || user.emails?.[0]?.value}</span>
               <button onClick={handleLogout} style={{padding: "5px 10px", background: "red", color: "white", border: "none", borderRadius: "5px"}}>
                 Logout
@@ -116,13 +159,26 @@ export default function App() {
       </header>
 
       <main className="container">
+        {user && !user.role && (
+          <p style={{color: "red"}}>Your account does not have access yet. Ask an admin to add you.</p>
+        )}
+        {user?.role && user.workspaces?.length === 0 && (
+          <p style={{color: "red"}}>You are not a member of any workspace yet. Ask an admin to add you to one.</p>
+        )}
         <Routes>
           <Route path="/" element={<Home />} />
 
           {/* Protected Routes */}
-          <Route path="/create" element={user ? <CreateSegment /> : <Navigate to="/" />} />
+          <Route path="/segments" element={user ? <Segments /> : <Navigate to="/" />} />
+          <Route path="/create" element={user ? <CreateSegment key="create" /> : <Navigate to="/" />} />
+          <Route path="/segments/:id/edit" element={user ? <CreateSegment key="edit" /> : <Navigate to="/" />} />
           <Route path="/campaigns" element={user ? <Campaigns /> : <Navigate to="/" />} />
-          <Route path="/logs" element={user ? <Logs /> : <Navigate to="/" />} />
+          <Route path="/analytics" element={user ? <Analytics /> : <Navigate to="/" />} />
+          <Route path="/imports" element={user ? <Imports /> : <Navigate to="/" />} />
+          <Route path="/customers/:id" element={user ? <CustomerProfile /> : <Navigate to="/" />} />
+          <Route path="/logs" element={user ? <Logs user={user} /> : <Navigate to="/" />} />
+          <Route path="/settings" element={user ? <Settings user={user} /> : <Navigate to="/" />} />
+          <Route path="/admin" element={user?.role === 'admin' ? <Admin /> : <Navigate to="/" />} />
         </Routes>
       </main>
     </div>
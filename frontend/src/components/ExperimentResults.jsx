@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+
+const SIGNIFICANCE = {
+  significant: { label: "Significant", color: "#2e9d5b" },
+  not_significant: { label: "Not significant", color: "#888" },
+  insufficient_data: { label: "Not enough data", color: "#888" },
+};
+
+function pct(rate) {
+  return rate === null || rate === undefined ? "-" : `${(rate * 100).toFixed(1)}%`;
+}
+
+// Lift over the baseline plus a significance badge (p < 0.05, two-proportion z-test).
+function Comparison({ vs }) {
+  if (!vs) return <td>baseline</td>;
+  const sig = SIGNIFICANCE[vs.significance];
+  return (
+    <td title={vs.p_value === null ? "" : `z = ${vs.z}, p = ${vs.p_value}`}>
+      {vs.lift === null ? "-" : `${vs.lift > 0 ? "+" : ""}${(vs.lift * 100).toFixed(1)}%`} vs {vs.baseline}{" "}
+      <span style={{ color: sig.color, fontWeight: vs.significance === "significant" ? "bold" : "normal" }}>
+        ({sig.label})
+      </span>
+    </td>
+  );
+}
+
+// Per-variant delivery and conversion results of one campaign.
+export default function ExperimentResults({ campaignId }) {
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setResults(null);
+    setError(null);
+    axios
+      .get(`/api/campaigns/${campaignId}/experiment`)
+      .then((res) => setResults(res.data.data))
+      .catch((err) => setError(err.response?.data?.error || "Failed to load results"));
+  }, [campaignId]);
+
+  if (error) return <p style={{ color: "red" }}>{error}</p>;
+  if (!results) return <p>Loading...</p>;
+
+  return (
+    <div>
+      <table>
+        <thead>
+          <tr>
+            <th>Variant</th>
+            <th>Weight</th>
+            <th>Recipients</th>
+            <th>Sent</th>
+            <th>Delivered</th>
+            <th>Failed</th>
+            <th>Delivery rate</th>
+            <th>Click rate</th>
+            <th>Click vs baseline</th>
+            <th>Conversions</th>
+            <th>Conversion rate</th>
+            <th>Conversion vs baseline</th>
+            <th>Revenue</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.variants.map((v) => (
+            <tr key={v.key}>
+              <td title={v.message}>{v.key}</td>
+              <td>{v.weight}</td>
+              <td>{v.recipients}</td>
+              <td>{v.sent}</td>
+              <td>{v.delivered}</td>
+              <td>{v.failed}</td>
+              <td>{pct(v.delivery_rate)}</td>
+              <td>{pct(v.click_rate)}</td>
+              <Comparison vs={v.click_vs} />
+              <td>{v.conversions}</td>
+              <td>{pct(v.conversion_rate)}</td>
+              <Comparison vs={v.conversion_vs} />
+              <td>{v.revenue}</td>
+            </tr>
+          ))}
+          {results.holdout && (
+            <tr>
+              <td>Holdout ({results.holdoutPercent}%)</td>
+              <td>-</td>
+              <td>{results.holdout.recipients}</td>
+              <td colSpan={6}>receives nothing</td>
+              <td>{results.holdout.conversions}</td>
+              <td>{pct(results.holdout.conversion_rate)}</td>
+              <td>baseline</td>
+              <td>-</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+
+// Live per-recipient preview of a message template for the selected segment.
+export default function MessagePreview({ segmentId, message }) {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!segmentId || !message) {
+      setPreview(null);
+      return undefined;
+    }
+    // debounce so we don't hit the backend on every keystroke
+    const timer = setTimeout(() => {
+      axios
+        .post("/api/campaigns/preview-message", { segmentId, message, limit: 3 })
+        .then((res) => {
+          setPreview(res.data);
+          setError(null);
+        })
+        .catch((err) => setError(err.response?.data?.error || "Preview failed"));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [segmentId, message]);
+
+  if (!segmentId || !message) return null;
+  if (error) return <p style={{ color: "red" }}>{error}</p>;
+  if (!preview) return null;
+
+  return (
+    <div style={{ marginTop: 8, padding: 8, background: "#f7f7f7" }}>
+      <strong>Preview</strong> ({preview.audience_count} recipients)
+      {preview.errors?.length > 0 ? (
+        <ul style={{ color: "red", marginTop: 6 }}>
+          {preview.errors.map((e) => (
+            <li key={e}>{e}</li>
+          ))}
+        </ul>
+      ) : (
+        <ul style={{ marginTop: 6, paddingLeft: 18 }}>
+          {preview.data.map((p) => (
+            <li key={p.customer_email}>
+              <em>{p.name || p.customer_email}:</em> {p.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      {preview.syntax && (
+        <small>
+          Merge tags: {preview.syntax.variables.map((v) => `{{${v}}}`).join(" ")} — filters:{" "}
+          {preview.syntax.filters.join(", ")}
+        </small>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import React from "react";
+
+const WIDTH = 720;
+const HEIGHT = 220;
+const PAD = { top: 10, right: 10, bottom: 30, left: 40 };
+
+// Line chart of per-bucket counts, one line per series ({ key, label, color }).
+export default function TimeSeriesChart({ buckets, series, interval }) {
+  if (!buckets || buckets.length === 0) return <p>No delivery events yet.</p>;
+
+  const max = Math.max(1, ...buckets.flatMap((b) => series.map((s) => b[s.key] || 0)));
+  const innerW = WIDTH - PAD.left - PAD.right;
+  const innerH = HEIGHT - PAD.top - PAD.bottom;
+  const x = (i) => PAD.left + (buckets.length === 1 ? innerW / 2 : (i / (buckets.length - 1)) * innerW);
+  const y = (v) => PAD.top + innerH - (v / max) * innerH;
+  const label = (t) =>
+    interval === "day" ? new Date(t).toLocaleDateString() : new Date(t).toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+
+  return (
+    <div>
+      <svg width={WIDTH} height={HEIGHT} style={{ background: "#fff", border: "1px solid #ddd" }}>
+        <line x1={PAD.left} y1={PAD.top + innerH} x2={PAD.left + innerW} y2={PAD.top + innerH} stroke="#999" />
+        <line x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={PAD.top + innerH} stroke="#999" />
+        <text x={PAD.left - 6} y={PAD.top + 10} fontSize="11" textAnchor="end" fill="#333">
+          {max}
+        </text>
+        <text x={PAD.left - 6} y={PAD.top + innerH} fontSize="11" textAnchor="end" fill="#333">
+          0
+        </text>
+        <text x={PAD.left} y={HEIGHT - 8} fontSize="11" fill="#333">
+          {label(buckets[0].t)}
+        </text>
+        <text x={PAD.left + innerW} y={HEIGHT - 8} fontSize="11" textAnchor="end" fill="#333">
+          {label(buckets[buckets.length - 1].t)}
+        </text>
+        {series.map((s) => (
+          <g key={s.key}>
+            <polyline
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+              points={buckets.map((b, i) => `${x(i)},${y(b[s.key] || 0)}`).join(" ")}
+            />
+            {buckets.map((b, i) => (
+              <circle key={b.t} cx={x(i)} cy={y(b[s.key] || 0)} r="2.5" fill={s.color}>
+                <title>{`${s.label}: ${b[s.key] || 0} (${label(b.t)})`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div style={{ display: "flex", gap: 12, marginTop: 4 }}>
+        {series.map((s) => (
+          <span key={s.key} style={{ color: s.color }}>
+            ■ {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,450 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+
+const ROLES = [
+  ["admin", "Admin"],
+  ["marketer", "Marketer"],
+  ["viewer", "Analyst / viewer"],
+];
+
+// Who can sign in, with which role, and in which workspaces.
+function Users({ workspaces }) {
+  const [users, setUsers] = useState([]);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("marketer");
+
+  useEffect(() => {
+    axios
+      .get("/api/users")
+      .then((res) => setUsers(res.data.data || []))
+      .catch(() => alert("Failed to load users"));
+  }, []);
+
+  const replace = (user) => setUsers((prev) => prev.map((u) => (u.id === user.id ? user : u)));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await axios.post("/api/users", { email, role });
+      setUsers((prev) => [...prev, res.data.data]);
+      setEmail("");
+    } catch (err) {
+      alert("Failed to add user: " + (err.response?.data?.error || err));
+    }
+  };
+
+  const handleChange = async (user, changes) => {
+    try {
+      const res = await axios.patch(`/api/users/${user.id}`, changes);
+      replace(res.data.data);
+    } catch (err) {
+      alert("Update failed: " + (err.response?.data?.error || err));
+    }
+  };
+
+  const handleRemove = async (user) => {
+    if (!confirm(`Remove ${user.email}?`)) return;
+    try {
+      await axios.delete(`/api/users/${user.id}`);
+      setUsers((prev) => prev.filter((u) => u.id !== user.id));
+    } catch (err) {
+      alert("Remove failed: " + (err.response?.data?.error || err));
+    }
+  };
+
+  return (
+    <div className="card" style={{ marginBottom: "20px", padding: "10px" }}>
+      <h3>Users</h3>
+      <form onSubmit={handleAdd}>
+        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Google account email" required />
+        <select value={role} onChange={(e) => setRole(e.target.value)}>
+          {ROLES.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button type="submit">Add user</button>
+      </form>
+      <table style={{ marginTop: 8 }}>
+        <thead>
+          <tr>
+            <th>Email</th>
+            <th>Name</th>
+            <th>Role</th>
+            <th>Workspaces</th>
+            <th>Last sign-in</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map((u) => (
+            <tr key={u.id} style={{ color: u.disabled ? "#888" : undefined }}>
+              <td>{u.email}</td>
+              <td>{u.name || "-"}</td>
+              <td>
+                <select value={u.role} onChange={(e) => handleChange(u, { role: e.target.value })}>
+                  {ROLES.map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                {workspaces.map((w) => {
+                  const member = (u.workspaceIds || []).includes(w.id);
+                  return (
+                    <label key={w.id} style={{ marginRight: 8 }}>
+                      <input
+                        type="checkbox"
+                        checked={member}
+                        onChange={() =>
+                          handleChange(u, {
+                            workspaceIds: member ? u.workspaceIds.filter((id) => id !== w.id) : [...(u.workspaceIds || []), w.id],
+                          })
+                        }
+                      />{" "}
+                      {w.name}
+                    </label>
+                  );
+                })}
+              </td>
+              <td>{u.lastLoginAt ? new Date(u.lastLoginAt).toLocaleString() : "never"}</td>
+              <td>
+                <button onClick={() => handleChange(u, { disabled: !u.disabled })}>{u.disabled ? "Enable" : "Disable"}</button>
+                <button onClick={() => handleRemove(u)}>Remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Each workspace has its own customers, campaigns and messages; members are set per user above.
+function Workspaces({ workspaces, onChange }) {
+  const [name, setName] = useState("");
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await axios.post("/api/workspaces", { name });
+      onChange([...workspaces, res.data.data]);
+      setName("");
+    } catch (err) {
+      alert("Failed to create workspace: " + (err.response?.data?.error || err));
+    }
+  };
+
+  const handleRename = async (workspace) => {
+    const next = window.prompt("New name:", workspace.name);
+    if (!next || next === workspace.name) return;
+    try {
+      const res = await axios.patch(`/api/workspaces/${workspace.id}`, { name: next });
+      onChange(workspaces.map((w) => (w.id === workspace.id ? res.data.data : w)));
+    } catch (err) {
+      alert("Rename failed: " + (err.response?.data?.error || err));
+    }
+  };
+
+  return (
+    <div className="card" style={{ marginBottom: "20px", padding: "10px" }}>
+      <h3>Workspaces</h3>
+      <form onSubmit={handleCreate}>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Workspace name" required />
+        <button type="submit">Create workspace</button>
+      </form>
+      <table style={{ marginTop: 8 }}>
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Created</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {workspaces.map((w) => (
+            <tr key={w.id}>
+              <td>{w.name}</td>
+              <td>{w.createdAt ? new Date(w.createdAt).toLocaleString() : "-"}</td>
+              <td>
+                <button onClick={() => handleRename(w)}>Rename</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Domains whose Google accounts may sign up on their own.
+function Access() {
+  const [access, setAccess] = useState(null);
+  const [domains, setDomains] = useState("");
+
+  useEffect(() => {
+    axios
+      .get("/api/settings/access")
+      .then((res) => {
+        setAccess(res.data.data);
+        setDomains((res.data.data.allowedDomains || []).join(", "));
+      })
+      .catch(() => alert("Failed to load access settings"));
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const allowedDomains = domains
+      .split(",")
+      .map((d) => d.trim())
+      .filter(Boolean);
+    try {
+      const res = await axios.put("/api/settings/access", { allowedDomains, defaultRole: access.defaultRole });
+      setAccess(res.data.data);
+      alert("Access settings saved");
+    } catch (err) {
+      alert("Save failed: " + (err.response?.data?.error || err));
+    }
+  };
+
+  if (!access) return null;
+
+  return (
+    <div className="card" style={{ marginBottom: "20px", padding: "10px" }}>
+      <h3>Access</h3>
+      <form onSubmit={handleSave}>
+        <div>
+          Allowed domains:{" "}
+          <input value={domains} onChange={(e) => setDomains(e.target.value)} placeholder="example.com, example.org" style={{ width: 300 }} />
+        </div>
+        <div style={{ marginTop: 8 }}>
+          New users from these domains join as{" "}
+          <select value={access.defaultRole} onChange={(e) => setAccess((prev) => ({ ...prev, defaultRole: e.target.value }))}>
+            {ROLES.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {access.adminEmails?.length > 0 && (
+          <p style={{ fontSize: 12 }}>Always admins (ADMIN_EMAILS): {access.adminEmails.join(", ")}</p>
+        )}
+        <button type="submit">Save</button>
+      </form>
+    </div>
+  );
+}
+
+// Keys for server-to-server calls into the current workspace (Authorization: Bearer <key>).
+function ApiKeys() {
+  const [keys, setKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [name, setName] = useState("");
+  const [picked, setPicked] = useState([]);
+  const [revealed, setRevealed] = useState(null);
+
+  useEffect(() => {
+    axios
+      .get("/api/api-keys")
+      .then((res) => {
+        setKeys(res.data.data || []);
+        setScopes(res.data.scopes || []);
+      })
+      .catch(() => alert("Failed to load API keys"));
+  }, []);
+
+  const replace = (key) => setKeys((prev) => prev.map((k) => (k.id === key.id ? key : k)));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (picked.length === 0) return alert("Pick at least one scope");
+    try {
+      const res = await axios.post("/api/api-keys", { name, scopes: picked });
+      setKeys((prev) => [...prev, res.data.data]);
+      setRevealed({ name: res.data.data.name, key: res.data.key });
+      setName("");
+      setPicked([]);
+    } catch (err) {
+      alert("Failed to create API key: " + (err.response?.data?.error || err));
+    }
+  };
+
+  const handleRotate = async (key) => {
+    if (!confirm(`Rotate ${key.name}? The current key stops working immediately.`)) return;
+    try {
+      const res = await axios.post(`/api/api-keys/${key.id}/rotate`);
+      replace(res.data.data);
+      setRevealed({ name: res.data.data.name, key: res.data.key });
+    } catch (err) {
+      alert("Rotate failed: " + (err.response?.data?.error || err));
+    }
+  };
+
+  const handleRevoke = async (key) => {
+    if (!confirm(`Revoke ${key.name}? Calls using it will be refused.`)) return;
+    try {
+      const res = await axios.delete(`/api/api-keys/${key.id}`);
+      replace(res.data.data);
+    } catch (err) {
+      alert("Revoke failed: " + (err.response?.data?.error || err));
+    }
+  };
+
+  const toggleScope = (scope) => setPicked((prev) => (prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]));
+
+  return (
+    <div className="card" style={{ marginBottom: "20px", padding: "10px" }}>
+      <h3>API keys (this workspace)</h3>
+      <form onSubmit={handleCreate}>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Key name, e.g. Shop backend" required />
+        {scopes.map((scope) => (
+          <label key={scope} style={{ marginLeft: 8 }}>
+            <input type="checkbox" checked={picked.includes(scope)} onChange={() => toggleScope(scope)} /> {scope}
+          </label>
+        ))}
+        <button type="submit" style={{ marginLeft: 8 }}>
+          Create key
+        </button>
+      </form>
+      {revealed && (
+        <p style={{ background: "#ffe", padding: 8 }}>
+          Key for {revealed.name} (copy it now, it is not shown again): <code>{revealed.key}</code>{" "}
+          <button onClick={() => setRevealed(null)}>Done</button>
+        </p>
+      )}
+      <table style={{ marginTop: 8 }}>
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Key</th>
+            <th>Scopes</th>
+            <th>Last used</th>
+            <th>Status</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {keys.map((k) => (
+            <tr key={k.id} style={{ color: k.status === "revoked" ? "#888" : undefined }}>
+              <td>{k.name}</td>
+              <td>
+                <code>xk_{k.prefix}_…</code>
+              </td>
+              <td>{k.scopes.join(", ")}</td>
+              <td>{k.lastUsedAt ? new Date(k.lastUsedAt).toLocaleString() : "never"}</td>
+              <td>{k.status}</td>
+              <td>
+                {k.status === "active" && (
+                  <>
+                    <button onClick={() => handleRotate(k)}>Rotate</button>
+                    <button onClick={() => handleRevoke(k)}>Revoke</button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function AuditLog() {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [action, setAction] = useState("");
+  const [actor, setActor] = useState("");
+
+  const load = (params) =>
+    axios
+      .get("/api/audit-log", { params })
+      .then((res) => {
+        setEntries(res.data.data || []);
+        setTotal(res.data.total || 0);
+      })
+      .catch(() => alert("Failed to load the audit log"));
+
+  useEffect(() => {
+    axios
+      .get("/api/audit-log")
+      .then((res) => {
+        setEntries(res.data.data || []);
+        setTotal(res.data.total || 0);
+      })
+      .catch(() => alert("Failed to load the audit log"));
+  }, []);
+
+  return (
+    <div className="card" style={{ padding: "10px" }}>
+      <h3>Audit log</h3>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          load({ action: action || undefined, actor: actor || undefined });
+        }}
+      >
+        <input value={action} onChange={(e) => setAction(e.target.value)} placeholder="Action, e.g. campaign." />
+        <input value={actor} onChange={(e) => setActor(e.target.value)} placeholder="User email" />
+        <button type="submit">Filter</button>
+      </form>
+      {entries.length < total && (
+        <p>
+          Showing the latest {entries.length} of {total} entries.
+        </p>
+      )}
+      <table style={{ marginTop: 8 }}>
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>User</th>
+            <th>Action</th>
+            <th>Target</th>
+            <th>Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((e) => (
+            <tr key={e.id}>
+              <td>{new Date(e.at).toLocaleString()}</td>
+              <td title={e.ip || ""}>
+                {e.actor.email || e.actor.name}
+                {e.actor.role ? ` (${e.actor.role})` : ""}
+              </td>
+              <td>{e.action}</td>
+              <td>{e.target ? `${e.target.type} ${e.target.name || e.target.id}` : "-"}</td>
+              <td>
+                <code>{e.details ? JSON.stringify(e.details) : ""}</code>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function Admin() {
+  const [workspaces, setWorkspaces] = useState([]);
+
+  useEffect(() => {
+    axios
+      .get("/api/workspaces")
+      .then((res) => setWorkspaces(res.data.data || []))
+      .catch(() => alert("Failed to load workspaces"));
+  }, []);
+
+  return (
+    <div style={{ padding: "20px" }}>
+      <h2>Admin</h2>
+      <Workspaces workspaces={workspaces} onChange={setWorkspaces} />
+      <Users workspaces={workspaces} />
+      <Access />
+      <ApiKeys />
+      <AuditLog />
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import TimeSeriesChart from "../components/TimeSeriesChart";
+
+const SERIES = [
+  { key: "SENT", label: "Sent", color: "#4a6cf7" },
+  { key: "DELIVERED", label: "Delivered", color: "#2e9d5b" },
+  { key: "OPENED", label: "Opened", color: "#e0a100" },
+  { key: "CLICKED", label: "Clicked", color: "#9b4dca" },
+  { key: "FAILED", label: "Failed", color: "#d64545" },
+  { key: "BOUNCED", label: "Bounced", color: "#8a5a44" },
+];
+
+const COUNTS = [
+  ["audience", "Audience"],
+  ["sent", "Sent"],
+  ["delivered", "Delivered"],
+  ["opened", "Opened"],
+  ["clicked", "Clicked"],
+  ["failed", "Failed"],
+  ["bounced", "Bounced"],
+  ["suppressed", "Suppressed"],
+];
+
+const RATES = [
+  ["delivery_rate", "Delivery rate"],
+  ["open_rate", "Open rate"],
+  ["click_rate", "Click rate"],
+  ["click_to_open_rate", "Click-to-open"],
+  ["failure_rate", "Failure rate"],
+];
+
+const MODELS = [
+  ["last_touch", "Last touch"],
+  ["first_touch", "First touch"],
+];
+
+function pct(rate) {
+  return rate === null || rate === undefined ? "-" : `${(rate * 100).toFixed(1)}%`;
+}
+
+// Percentage with a small bar, so rates can be compared down a column.
+function RateCell({ rate }) {
+  return (
+    <td>
+      <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+        <div style={{ width: 60, height: 8, background: "#eee" }}>
+          <div style={{ width: `${(rate || 0) * 100}%`, height: 8, background: "#4a6cf7" }} />
+        </div>
+        {pct(rate)}
+      </div>
+    </td>
+  );
+}
+
+export default function Analytics() {
+  const [summaries, setSummaries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [interval, setBucketInterval] = useState("auto");
+  const [stats, setStats] = useState(null);
+  const [model, setModel] = useState("last_touch");
+
+  useEffect(() => {
+    axios
+      .get("/api/campaigns/stats")
+      .then((res) => {
+        const data = res.data.data || [];
+        setSummaries(data);
+        if (data.length > 0) setSelectedId(data[data.length - 1].campaignId);
+      })
+      .catch(() => setError("Failed to load campaign analytics"))
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    if (!selectedId) return;
+    setStats(null);
+    axios
+      .get(`/api/campaigns/${selectedId}/stats`, { params: { interval } })
+      .then((res) => setStats(res.data.data))
+      .catch(() => setError("Failed to load campaign stats"));
+  }, [selectedId, interval]);
+
+  if (loading) return <p>Loading analytics...</p>;
+  if (error) return <p style={{ color: "red" }}>{error}</p>;
+  if (summaries.length === 0) return <p>No campaigns yet</p>;
+
+  return (
+    <div style={{ padding: "20px" }}>
+      <h2>Campaign Analytics</h2>
+
+      {/* Comparison across campaigns */}
+      <div className="card" style={{ marginBottom: "20px", padding: "10px" }}>
+        <h3>All Campaigns</h3>
+        <div style={{ marginBottom: 8 }}>
+          Attribution model{" "}
+          <select value={model} onChange={(e) => setModel(e.target.value)}>
+            {MODELS.map(([key, title]) => (
+              <option key={key} value={key}>
+                {title}
+              </option>
+            ))}
+          </select>
+        </div>
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Channel</th>
+              <th>Status</th>
+              {COUNTS.map(([key, title]) => (
+                <th key={key}>{title}</th>
+              ))}
+              <th>Delivery</th>
+              <th>Open</th>
+              <th>Click</th>
+              <th>Orders</th>
+              <th>Revenue</th>
+              <th>Conversion</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summaries.map((s) => (
+              <tr
+                key={s.campaignId}
+                onClick={() => setSelectedId(s.campaignId)}
+                style={{ cursor: "pointer", fontWeight: s.campaignId === selectedId ? "bold" : "normal" }}
+              >
+                <td>{s.name}</td>
+                <td>{s.channel}</td>
+                <td>{s.status}</td>
+                {COUNTS.map(([key]) => (
+                  <td key={key}>{s.counts[key]}</td>
+                ))}
+                <RateCell rate={s.rates.delivery_rate} />
+                <RateCell rate={s.rates.open_rate} />
+                <RateCell rate={s.rates.click_rate} />
+                <td>{s.attribution[model].orders}</td>
+                <td>{s.attribution[model].revenue}</td>
+                <RateCell rate={s.attribution[model].conversion_rate} />
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Selected campaign */}
+      {stats && (
+        <div className="card" style={{ padding: "10px" }}>
+          <h3>
+            {stats.name} ({stats.channel}, {stats.runs} {stats.runs === 1 ? "run" : "runs"})
+          </h3>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 10, marginBottom: 12 }}>
+            {COUNTS.map(([key, title]) => (
+              <div key={key} style={{ padding: "8px 12px", border: "1px solid #ddd", minWidth: 80 }}>
+                <div style={{ fontSize: 12 }}>{title}</div>
+                <div style={{ fontSize: 20 }}>{stats.counts[key]}</div>
+              </div>
+            ))}
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 10, marginBottom: 12 }}>
+            {RATES.map(([key, title]) => (
+              <div key={key} style={{ padding: "8px 12px", border: "1px solid #ddd", minWidth: 100 }}>
+                <div style={{ fontSize: 12 }}>{title}</div>
+                <div style={{ fontSize: 20 }}>{pct(stats.rates[key])}</div>
+              </div>
+            ))}
+          </div>
+          <h4>Attributed revenue</h4>
+          <table style={{ marginBottom: 12 }}>
+            <thead>
+              <tr>
+                <th>Model</th>
+                <th>Orders</th>
+                <th>Revenue</th>
+                <th>Conversion rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {MODELS.map(([key, title]) => (
+                <tr key={key}>
+                  <td>{title}</td>
+                  <td>{stats.attribution[key].orders}</td>
+                  <td>{stats.attribution[key].revenue}</td>
+                  <td>{pct(stats.attribution[key].conversion_rate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ marginBottom: 8 }}>
+            Delivery events per{" "}
+            <select value={interval} onChange={(e) => setBucketInterval(e.target.value)}>
+              <option value="auto">auto</option>
+              <option value="hour">hour</option>
+              <option value="day">day</option>
+            </select>
+          </div>
+          <TimeSeriesChart buckets={stats.timeseries.buckets} series={SERIES} interval={stats.timeseries.interval} />
+        </div>
+      )}
+    </div>
+  );
+}
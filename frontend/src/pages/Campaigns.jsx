@@ -1,6 +1,18 @@
 import { useEffect, useState } from "react";
 import axios from "axios";
 import MessageSuggester from "../components/MessageSuggester";
+import MessagePreview from "../components/MessagePreview";
+import ExperimentResults from "../components/ExperimentResults";
+
+const LOCAL_TZ = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Builds the schedule part of a request body from the form's send mode.
+function scheduleBody(mode, scheduledAt, cron, timezone) {
+  if (mode === "later") return { scheduledAt: new Date(scheduledAt).toISOString() };
+  if (mode === "recurring") return { cron, timezone };
+  return {};
+}
+
 export default function Campaigns() {
   const [campaigns, setCampaigns] = useState([]);
   const [segments, setSegments] = useState([]);
@@ -11,6 +23,18 @@ export default function Campaigns() {
   const [name, setName] = useState("");
   const [segmentId, setSegmentId] = useState("");
   const [message, setMessage] = useState("");
+  const [channel, setChannel] = useState("email");
+  const [subject, setSubject] = useState("");
+  // A/B variants replace the single message once added ([] = single message)
+  const [variants, setVariants] = useState([]);
+  const [holdoutPercent, setHoldoutPercent] = useState(0);
+  const [sendMode, setSendMode] = useState("manual");
+  const [scheduledAt, setScheduledAt] = useState("");
+  const [cron, setCron] = useState("0 10 * * 1");
+  const [timezone, setTimezone] = useState(LOCAL_TZ);
+
+  // upcoming scheduled runs
+  const [schedules, setSchedules] = useState([]);
 
   // logs state
   const [logsLoading, setLogsLoading] = useState(false);
@@ -18,15 +42,20 @@ export default function Campaigns() {
   const [visibleLogsCampaignId, setVisibleLogsCampaignId] = useState(null);
   const [visibleLogs, setVisibleLogs] = useState([]);
 
+  // per-variant results
+  const [resultsCampaignId, setResultsCampaignId] = useState(null);
+
   // fetch campaigns + segments
   useEffect(() => {
     Promise.all([
       axios.get("/api/campaigns"),
       axios.get("/api/segments"),
+      axios.get("/api/schedules"),
     ])
-      .then(([campaignRes, segmentRes]) => {
+      .then(([campaignRes, segmentRes, scheduleRes]) => {
         setCampaigns(campaignRes.data.data || []);
         setSegments(segmentRes.data.data || []);
+        setSchedules(scheduleRes.data.data || []);
         setLoading(false);
       })
       .catch((err) => {
@@ -36,26 +65,123 @@ export default function Campaigns() {
       });
   }, []);
 
+  // poll campaign progress while any campaign is sending
+  const anySending = campaigns.some((c) => c.status === "SENDING");
+  useEffect(() => {
+    if (!anySending) return;
+    const timer = setInterval(() => {
+      axios
+        .get("/api/campaigns")
+        .then((res) => setCampaigns(res.data.data || []))
+        .catch((err) => console.error("Error refreshing campaigns:", err));
+    }, 3000);
+    return () => clearInterval(timer);
+  }, [anySending]);
+
   // create new campaign
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!name || !segmentId || !message) {
+    if (!name || !segmentId || (variants.length ? variants.some((v) => !v.message) : !message)) {
       alert("Please fill all fields");
       return;
     }
+    if (sendMode === "later" && !scheduledAt) {
+      alert("Please pick a send time");
+      return;
+    }
 
     try {
       const res = await axios.post("/api/campaigns", {
         name,
         segmentId,
-        message,
+        ...(variants.length ? { variants } : { message }),
+        holdoutPercent: Number(holdoutPercent) || 0,
+        channel,
+        ...(channel === "email" && subject ? { subject } : {}),
+        ...scheduleBody(sendMode, scheduledAt, cron, timezone),
       });
       setCampaigns((prev) => [...prev, res.data.data]);
+      if (res.data.schedule) fetchSchedules();
       setName("");
       setSegmentId("");
       setMessage("");
+      setVariants([]);
+      setHoldoutPercent(0);
+      setSubject("");
+      setSendMode("manual");
+      setScheduledAt("");
+    } catch (err) {
+      alert("Error creating campaign: " + (err.response?.data?.error || err));
+    }
+  };
+
+  // The first "Add variant" turns the current message into variant A.
+  const addVariant = () => {
+    setVariants((prev) => {
+      const current = prev.length ? prev : [{ key: "A", message, weight: 1 }];
+      return [...current, { key: String.fromCharCode(65 + current.length), message: "", weight: 1 }];
+    });
+  };
+
+  const updateVariant = (index, changes) => {
+    setVariants((prev) => prev.map((v, i) => (i === index ? { ...v, ...changes } : v)));
+  };
+
+  // Removing down to one variant goes back to a single message.
+  const removeVariant = (index) => {
+    const rest = variants.filter((_, i) => i !== index);
+    if (rest.length > 1) {
+      setVariants(rest);
+      return;
+    }
+    setMessage(rest[0]?.message || "");
+    setVariants([]);
+  };
+
+  const fetchSchedules = async () => {
+    try {
+      const res = await axios.get("/api/schedules");
+      setSchedules(res.data.data || []);
+    } catch (err) {
+      console.error("Error fetching schedules:", err);
+    }
+  };
+
+  const handleCancelSchedule = async (schedule) => {
+    if (!window.confirm("Cancel this schedule?")) return;
+    try {
+      await axios.delete(`/api/schedules/${schedule.id}`);
+      setSchedules((prev) => prev.filter((s) => s.id !== schedule.id));
+      setCampaigns((prev) =>
+        prev.map((c) => (c.id === schedule.campaignId && c.status === "SCHEDULED" ? { ...c, status: "CREATED" } : c))
+      );
     } catch (err) {
-      alert("Error creating campaign: " + err);
+      alert("Cancel failed: " + (err.response?.data?.error || err));
+    }
+  };
+
+  // Reschedule keeps the schedule type: a new time for one-off, a new cron for recurring.
+  const handleReschedule = async (schedule) => {
+    let body;
+    if (schedule.type === "recurring") {
+      const next = window.prompt("New cron expression (minute hour day month weekday):", schedule.cron);
+      if (!next) return;
+      body = { cron: next, timezone: schedule.timezone || LOCAL_TZ };
+    } else {
+      const next = window.prompt("New send time (YYYY-MM-DD HH:MM, local time):", "");
+      if (!next) return;
+      const when = new Date(next.replace(" ", "T"));
+      if (Number.isNaN(when.getTime())) {
+        alert("Could not read that date");
+        return;
+      }
+      body = { scheduledAt: when.toISOString() };
+    }
+    try {
+      await axios.post(`/api/campaigns/${schedule.campaignId}/schedule`, body);
+      fetchSchedules();
+    } catch (err) {
+      alert("Reschedule failed: " + (err.response?.data?.error || err));
     }
   };
 
@@ -66,25 +192,12 @@ export default function Campaigns() {
       const res = await axios.post(`/api/campaigns/${campaignId}/send`);
       const data = res.data;
 
-      setCampaigns((prev) =>
-        prev.map((c) =>
-          c.id === campaignId
-            ? {
-                ...c,
-                status:
-                  data.sent === 0 && data.failed === 0
-                    ? "NO_AUDIENCE"
-                    : data.failed === 0
-                    ? "SENT"
-                    : "PARTIAL_FAILED",
-              }
-            : c
-        )
-      );
+      setCampaigns((prev) => prev.map((c) => (c.id === campaignId ? { ...data.data, progress: data.progress } : c)));
 
-      fetchLogsForCampaign(campaignId);
       alert(
-        `Campaign sent. audience_count=${data.audience_count}, sent=${data.sent}, failed=${data.failed}`
+        `Campaign queued for ${data.audience_count - data.holdout_count - data.suppressed_count} recipients` +
+          (data.holdout_count ? ` (${data.holdout_count} held out)` : "") +
+          (data.suppressed_count ? ` — ${data.suppressed_count} skipped (no consent or suppressed)` : "")
       );
     } catch (err) {
       console.error("Send failed:", err);
@@ -92,6 +205,31 @@ export default function Campaigns() {
     }
   };
 
+  // re-send recipients whose messages failed for good (dead letters)
+  const handleRetryFailed = async (campaignId) => {
+    if (!window.confirm("Retry all failed recipients of this campaign?")) return;
+    try {
+      const res = await axios.post(`/api/campaigns/${campaignId}/retry-failed`);
+      const data = res.data;
+      setCampaigns((prev) => prev.map((c) => (c.id === campaignId ? data.data : c)));
+      alert(`Re-queued ${data.retried} failed recipients`);
+    } catch (err) {
+      alert("Retry failed: " + (err.response?.data?.error || err));
+    }
+  };
+
+  // pause / resume / cancel a running send
+  const handleSendControl = async (campaignId, action) => {
+    if (action === "cancel" && !window.confirm("Cancel all messages that have not been sent yet?")) return;
+    try {
+      const res = await axios.post(`/api/campaigns/${campaignId}/${action}`);
+      const { data, progress } = res.data;
+      setCampaigns((prev) => prev.map((c) => (c.id === campaignId ? { ...data, progress } : c)));
+    } catch (err) {
+      alert(`Could not ${action} campaign: ` + (err.response?.data?.error || err));
+    }
+  };
+
   // fetch logs for campaign
   const fetchLogsForCampaign = async (campaignId) => {
     setLogsLoading(true);
@@ -105,7 +243,7 @@ export default function Campaigns() {
         (r) => r.campaignId === campaignId
       );
       setVisibleLogs(filtered);
-    } catch (err) {
+    } catch {
       setLogsError("Failed to fetch logs");
     } finally {
       setLogsLoading(false);
@@ -144,16 +282,132 @@ export default function Campaigns() {
               </option>
             ))}
           </select>
-          <input
-            value={message}
-            onChange={(e) => setMessage(e.target.value)}
-            placeholder="Message"
-          />
-          <MessageSuggester onPick={(m) => setMessage(m)} defaultContext={"Promote 20% off weekend sale"} />
+          <select value={channel} onChange={(e) => setChannel(e.target.value)}>
+            <option value="email">Email</option>
+            <option value="sms">SMS</option>
+            <option value="whatsapp">WhatsApp</option>
+          </select>
+          {channel === "email" && (
+            <input
+              value={subject}
+              onChange={(e) => setSubject(e.target.value)}
+              placeholder="Subject (defaults to campaign name)"
+            />
+          )}
+          {variants.length === 0 ? (
+            <>
+              <input
+                value={message}
+                onChange={(e) => setMessage(e.target.value)}
+                placeholder='Message, e.g. Hi {{first_name}}, enjoy 20% off in {{metadata.city | default:"your city"}}'
+              />
+              <MessagePreview segmentId={segmentId} message={message} />
+              <MessageSuggester onPick={(m) => setMessage(m)} defaultContext={"Promote 20% off weekend sale"} />
+            </>
+          ) : (
+            variants.map((v, i) => (
+              <div key={i} style={{ marginTop: 8 }}>
+                <strong>Variant {v.key}</strong>{" "}
+                <input
+                  value={v.message}
+                  onChange={(e) => updateVariant(i, { message: e.target.value })}
+                  placeholder={`Message for variant ${v.key}`}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={v.weight}
+                  onChange={(e) => updateVariant(i, { weight: Number(e.target.value) })}
+                  title="Relative share of the audience"
+                  style={{ width: 60 }}
+                />
+                <button type="button" onClick={() => removeVariant(i)}>
+                  Remove
+                </button>
+                <MessagePreview segmentId={segmentId} message={v.message} />
+              </div>
+            ))
+          )}
+          <div style={{ marginTop: 8 }}>
+            <button type="button" onClick={addVariant} disabled={variants.length >= 5}>
+              Add A/B variant
+            </button>{" "}
+            Holdout{" "}
+            <input
+              type="number"
+              min="0"
+              max="50"
+              value={holdoutPercent}
+              onChange={(e) => setHoldoutPercent(e.target.value)}
+              title="Share of the audience that receives nothing (conversion baseline)"
+              style={{ width: 60 }}
+            />
+            %
+          </div>
+          <div style={{ marginTop: 8 }}>
+            <select value={sendMode} onChange={(e) => setSendMode(e.target.value)}>
+              <option value="manual">Send manually</option>
+              <option value="later">Send at a time</option>
+              <option value="recurring">Recurring</option>
+            </select>
+            {sendMode === "later" && (
+              <input
+                type="datetime-local"
+                value={scheduledAt}
+                onChange={(e) => setScheduledAt(e.target.value)}
+              />
+            )}
+            {sendMode === "recurring" && (
+              <>
+                <input
+                  value={cron}
+                  onChange={(e) => setCron(e.target.value)}
+                  placeholder="cron, e.g. 0 10 * * 1"
+                  title="minute hour day-of-month month day-of-week"
+                />
+                <input value={timezone} onChange={(e) => setTimezone(e.target.value)} placeholder="Timezone" />
+              </>
+            )}
+          </div>
           <button type="submit">Create</button>
         </form>
       </div>
 
+      {/* Upcoming scheduled runs */}
+      {schedules.length > 0 && (
+        <div className="card" style={{ marginBottom: "20px", padding: "10px" }}>
+          <h3>Upcoming Runs</h3>
+          <table>
+            <thead>
+              <tr>
+                <th>Campaign</th>
+                <th>Type</th>
+                <th>Schedule</th>
+                <th>Next runs</th>
+                <th>Runs so far</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedules.map((s) => (
+                <tr key={s.id}>
+                  <td>{campaigns.find((c) => c.id === s.campaignId)?.name || s.campaignId}</td>
+                  <td>{s.type}</td>
+                  <td>{s.type === "recurring" ? `${s.cron} (${s.timezone || "server time"})` : "once"}</td>
+                  <td>{(s.upcoming || []).map((t) => new Date(t).toLocaleString()).join(", ")}</td>
+                  <td>{s.runs || 0}</td>
+                  <td>
+                    <button onClick={() => handleReschedule(s)}>Reschedule</button>
+                    <button onClick={() => handleCancelSchedule(s)}>Cancel</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Campaign list */}
       <div className="card">
         {campaigns.length === 0 ? (
@@ -165,8 +419,10 @@ export default function Campaigns() {
                 <th>Id</th>
                 <th>Name</th>
                 <th>SegmentId</th>
+                <th>Channel</th>
                 <th>Message</th>
                 <th>Status</th>
+                <th>Progress</th>
                 <th>CreatedAt</th>
                 <th>Actions</th>
               </tr>
@@ -177,18 +433,49 @@ export default function Campaigns() {
                   <td>{c.id}</td>
                   <td>{c.name}</td>
                   <td>{c.segmentId}</td>
-                  <td>{c.message}</td>
+                  <td>{c.channel || "email"}</td>
+                  <td>
+                    {c.variants
+                      ? c.variants.map((v) => (
+                          <div key={v.key}>
+                            {v.key} ({v.weight}): {v.message}
+                          </div>
+                        ))
+                      : c.message}
+                    {c.holdoutPercent > 0 && <div>Holdout: {c.holdoutPercent}%</div>}
+                  </td>
                   <td>{c.status}</td>
+                  <td>
+                    {c.progress
+                      ? `${c.progress.sent} sent, ${c.progress.failed} failed, ${
+                          c.progress.queued + c.progress.retrying
+                        } queued${c.progress.deferred ? `, ${c.progress.deferred} deferred` : ""}${
+                          c.progress.suppressed ? `, ${c.progress.suppressed} suppressed` : ""
+                        } of ${c.progress.total}`
+                      : "-"}
+                  </td>
                   <td>{new Date(c.createdAt).toLocaleString()}</td>
                   <td>
                     <button
                       onClick={() => handleSend(c.id)}
-                      disabled={["SENT", "PARTIAL_FAILED", "NO_AUDIENCE"].includes(
+                      disabled={["SENT", "SENDING", "PAUSED", "CANCELLED", "PARTIAL_FAILED", "NO_AUDIENCE"].includes(
                         c.status
                       )}
                     >
                       Send
                     </button>
+                    {c.status === "SENDING" && (
+                      <button onClick={() => handleSendControl(c.id, "pause")}>Pause</button>
+                    )}
+                    {c.status === "PAUSED" && (
+                      <button onClick={() => handleSendControl(c.id, "resume")}>Resume</button>
+                    )}
+                    {["SENDING", "PAUSED"].includes(c.status) && (
+                      <button onClick={() => handleSendControl(c.id, "cancel")}>Cancel</button>
+                    )}
+                    {c.status === "PARTIAL_FAILED" && (
+                      <button onClick={() => handleRetryFailed(c.id)}>Retry failed recipients</button>
+                    )}
                     <button
                       onClick={() =>
                         visibleLogsCampaignId === c.id
@@ -198,6 +485,11 @@ export default function Campaigns() {
                     >
                       {visibleLogsCampaignId === c.id ? "Hide Logs" : "View Logs"}
                     </button>
+                    {(c.variants || c.holdoutPercent > 0) && (
+                      <button onClick={() => setResultsCampaignId(resultsCampaignId === c.id ? null : c.id)}>
+                        {resultsCampaignId === c.id ? "Hide Results" : "Variant Results"}
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))}
@@ -205,6 +497,14 @@ export default function Campaigns() {
           </table>
         )}
 
+        {/* per-variant results */}
+        {resultsCampaignId && (
+          <div>
+            <h4>Variant results for {campaigns.find((c) => c.id === resultsCampaignId)?.name}</h4>
+            <ExperimentResults campaignId={resultsCampaignId} />
+          </div>
+        )}
+
         {/* logs */}
         {visibleLogsCampaignId && (
           <div>
@@ -218,6 +518,8 @@ export default function Campaigns() {
                 <thead>
                   <tr>
                     <th>Email</th>
+                    <th>To</th>
+                    <th>Variant</th>
                     <th>Status</th>
                     <th>Message</th>
                     <th>Time</th>
@@ -227,7 +529,21 @@ export default function Campaigns() {
                   {visibleLogs.map((log) => (
                     <tr key={log.id}>
                       <td>{log.customer_email}</td>
-                      <td>{log.status}</td>
+                      <td>{log.to || "-"}</td>
+                      <td>{log.variant || "A"}</td>
+                      <td
+                        title={[
+                          ...(log.history || []).map((h) => `${h.status} ${new Date(h.at).toLocaleString()}`),
+                          log.error ? log.error.message : "",
+                          log.suppression ? log.suppression.message : "",
+                          log.deferredUntil ? log.deferral?.message : "",
+                        ].join("\n")}
+                      >
+                        {log.status}
+                        {log.error ? ` (${log.error.code})` : ""}
+                        {log.suppression ? ` (${log.suppression.code})` : ""}
+                        {log.deferredUntil ? ` (deferred until ${new Date(log.deferredUntil).toLocaleString()})` : ""}
+                      </td>
                       <td>{log.message}</td>
                       <td>{new Date(log.timestamp).toLocaleString()}</td>
                     </tr>
@@ -1,107 +1,333 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import axios from "axios";
+import { useNavigate, useParams } from "react-router-dom";
 
-function ConditionRow({ idx, cond, onChange, onRemove }) {
+// Fallback catalogue if /api/segments/fields is unreachable; the backend list wins.
+const DEFAULT_FIELDS = [
+  { name: "total_spent", type: "number", label: "Total spent" },
+  { name: "last_order_date", type: "date", label: "Last order date" },
+  { name: "email", type: "string", label: "Email" },
+];
+const DEFAULT_OPERATORS = [
+  { op: "gt", label: "greater than", arity: 1 },
+  { op: "gte", label: "greater than or equal", arity: 1 },
+  { op: "lt", label: "less than", arity: 1 },
+  { op: "lte", label: "less than or equal", arity: 1 },
+  { op: "eq", label: "equals", arity: 1 },
+  { op: "neq", label: "does not equal", arity: 1 },
+];
+const MAX_DEPTH = 5; // mirrors backend lib/segmentRules.js
+const METADATA = "__metadata__";
+
+const newCondition = () => ({ field: "total_spent", op: "gt", value: "" });
+const newGroup = () => ({ logic: "AND", conditions: [newCondition()] });
+const isGroup = (node) => Array.isArray(node.conditions);
+
+function valueFor(op, operators, previous) {
+  const arity = operators.find((o) => o.op === op)?.arity;
+  if (arity === 0) return "";
+  if (arity === 2) return Array.isArray(previous) ? previous : ["", ""];
+  return Array.isArray(previous) ? "" : previous;
+}
+
+function ValueInput({ cond, operator, fieldType, onChange }) {
+  if (!operator || operator.arity === 0) return null;
+  if (operator.arity === 2) {
+    const [min, max] = Array.isArray(cond.value) ? cond.value : ["", ""];
+    const type = fieldType === "date" ? "date" : "text";
+    return (
+      <>
+        <input type={type} value={min} onChange={(e) => onChange([e.target.value, max])} placeholder="from" />
+        <input type={type} value={max} onChange={(e) => onChange([min, e.target.value])} placeholder="to" />
+      </>
+    );
+  }
+  if (cond.op === "older_than_days" || cond.op === "within_last_days") {
+    return <input type="number" min="0" value={cond.value} onChange={(e) => onChange(e.target.value)} placeholder="days" />;
+  }
   return (
-    <div>
-      <select
-        value={cond.field}
-        onChange={(e) => onChange(idx, { ...cond, field: e.target.value })}
-      >
-        <option value="total_spent">total_spent</option>
-        <option value="last_order_date">last_order_date</option>
-        <option value="email">email</option>
+    <input
+      type={fieldType === "date" ? "date" : "text"}
+      value={cond.value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={operator.arity === "list" ? "comma,separated,values" : "value"}
+    />
+  );
+}
+
+function ConditionRow({ cond, catalogue, onChange, onRemove }) {
+  const isMetadata = cond.field.startsWith("metadata.");
+  const field = catalogue.fields.find((f) => f.name === cond.field);
+  const operator = catalogue.operators.find((o) => o.op === cond.op);
+
+  const changeField = (value) => {
+    const { within_days: _omit, ...rest } = cond;
+    if (value === METADATA) onChange({ ...rest, field: "metadata." });
+    else onChange({ ...(value === "purchased_sku" ? cond : rest), field: value });
+  };
+  const changeOp = (op) => onChange({ ...cond, op, value: valueFor(op, catalogue.operators, cond.value) });
+
+  return (
+    <div style={{ display: "flex", gap: "6px", alignItems: "center", margin: "4px 0" }}>
+      <select value={isMetadata ? METADATA : cond.field} onChange={(e) => changeField(e.target.value)}>
+        {catalogue.fields.map((f) => (
+          <option key={f.name} value={f.name}>
+            {f.label || f.name}
+          </option>
+        ))}
+        <option value={METADATA}>metadata…</option>
       </select>
+      {isMetadata && (
+        <input
+          value={cond.field.slice("metadata.".length)}
+          onChange={(e) => onChange({ ...cond, field: "metadata." + e.target.value })}
+          placeholder="key, e.g. city"
+        />
+      )}
 
-      <select
-        value={cond.op}
-        onChange={(e) => onChange(idx, { ...cond, op: e.target.value })}
-      >
-        <option value="gt">gt</option>
-        <option value="gte">gte</option>
-        <option value="lt">lt</option>
-        <option value="lte">lte</option>
-        <option value="eq">eq</option>
-        <option value="neq">neq</option>
+      <select value={cond.op} onChange={(e) => changeOp(e.target.value)}>
+        {catalogue.operators.map((o) => (
+          <option key={o.op} value={o.op}>
+            {o.label}
+          </option>
+        ))}
       </select>
 
-      <input
-        value={cond.value}
-        onChange={(e) => onChange(idx, { ...cond, value: e.target.value })}
-        placeholder="value"
+      <ValueInput
+        cond={cond}
+        operator={operator}
+        fieldType={field?.type}
+        onChange={(value) => onChange({ ...cond, value })}
       />
-      <button onClick={() => onRemove(idx)}>Remove</button>
+      {cond.field === "purchased_sku" && (
+        <input
+          type="number"
+          min="1"
+          value={cond.within_days ?? ""}
+          onChange={(e) => {
+            const { within_days: _omit, ...rest } = cond;
+            onChange(e.target.value ? { ...rest, within_days: Number(e.target.value) } : rest);
+          }}
+          placeholder="within days (optional)"
+        />
+      )}
+      <button onClick={onRemove}>Remove</button>
+    </div>
+  );
+}
+
+function RuleGroup({ group, depth, catalogue, onChange, onRemove }) {
+  const updateChild = (i, child) => {
+    const conditions = [...group.conditions];
+    conditions[i] = child;
+    onChange({ ...group, conditions });
+  };
+  const removeChild = (i) =>
+    onChange({ ...group, conditions: group.conditions.filter((_, idx) => idx !== i) });
+  const addChild = (child) => onChange({ ...group, conditions: [...group.conditions, child] });
+
+  return (
+    <div
+      style={{
+        borderLeft: depth > 0 ? "3px solid #ccc" : "none",
+        paddingLeft: depth > 0 ? "12px" : 0,
+        margin: "8px 0",
+      }}
+    >
+      <label>
+        Match
+        <select value={group.logic} onChange={(e) => onChange({ ...group, logic: e.target.value })}>
+          <option value="AND">ALL (AND)</option>
+          <option value="OR">ANY (OR)</option>
+        </select>
+        of:
+      </label>
+      {onRemove && (
+        <button onClick={onRemove} style={{ marginLeft: "8px" }}>
+          Remove group
+        </button>
+      )}
+
+      {group.conditions.map((node, i) =>
+        isGroup(node) ? (
+          <RuleGroup
+            key={i}
+            group={node}
+            depth={depth + 1}
+            catalogue={catalogue}
+            onChange={(g) => updateChild(i, g)}
+            onRemove={() => removeChild(i)}
+          />
+        ) : (
+          <ConditionRow
+            key={i}
+            cond={node}
+            catalogue={catalogue}
+            onChange={(c) => updateChild(i, c)}
+            onRemove={() => removeChild(i)}
+          />
+        )
+      )}
+
+      <button onClick={() => addChild(newCondition())}>Add condition</button>
+      {depth + 1 < MAX_DEPTH && <button onClick={() => addChild(newGroup())}>Add group</button>}
+    </div>
+  );
+}
+
+// Preview sample with the order-derived attributes the backend attaches as `stats`.
+function SampleTable({ sample }) {
+  if (sample.length === 0) return null;
+  return (
+    <table border="1" cellPadding="6" style={{ borderCollapse: "collapse", width: "100%", marginTop: "10px" }}>
+      <thead>
+        <tr>
+          <th>Name</th>
+          <th>Email</th>
+          <th>Total Spent</th>
+          <th>Orders</th>
+          <th>Avg Order</th>
+          <th>First Order</th>
+          <th>Days Since Last</th>
+          <th>SKUs</th>
+          <th>RFM</th>
+        </tr>
+      </thead>
+      <tbody>
+        {sample.map((c) => (
+          <tr key={c.id}>
+            <td>{c.name}</td>
+            <td>{c.email}</td>
+            <td>{c.total_spent}</td>
+            <td>{c.stats?.order_count ?? 0}</td>
+            <td>{c.stats?.avg_order_value ?? 0}</td>
+            <td>{c.stats?.first_order_date ? new Date(c.stats.first_order_date).toLocaleDateString() : "-"}</td>
+            <td>{c.stats?.days_since_last_order ?? "-"}</td>
+            <td>{c.stats?.skus?.length ? c.stats.skus.map((s) => s.sku).join(", ") : "-"}</td>
+            <td>{c.stats?.rfm?.score ?? "-"}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function VersionHistory({ versions, onLoad }) {
+  if (!versions || versions.length === 0) return null;
+  return (
+    <div style={{ marginTop: "20px" }}>
+      <h4>Previous versions</h4>
+      <ul>
+        {[...versions].reverse().map((v) => (
+          <li key={v.version}>
+            v{v.version} — {v.name} ({v.savedAt ? new Date(v.savedAt).toLocaleString() : "-"}){" "}
+            <button onClick={() => onLoad(v)}>Load into editor</button>
+          </li>
+        ))}
+      </ul>
     </div>
   );
 }
 
 export default function CreateSegment() {
-  const [conditions, setConditions] = useState([
-    { field: "total_spent", op: "gt", value: "" },
-  ]);
-  const [logic, setLogic] = useState("AND");
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [name, setName] = useState("");
+  const [rules, setRules] = useState(newGroup());
+  const [segment, setSegment] = useState(null);
+  const [catalogue, setCatalogue] = useState({ fields: DEFAULT_FIELDS, operators: DEFAULT_OPERATORS });
   const [preview, setPreview] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
 
-  const addCondition = () =>
-    setConditions([...conditions, { field: "total_spent", op: "gt", value: "" }]);
-
-  const updateCondition = (i, newCond) => {
-    const arr = [...conditions];
-    arr[i] = newCond;
-    setConditions(arr);
-  };
+  useEffect(() => {
+    axios
+      .get("/api/segments/fields")
+      .then((res) => {
+        if (res.data?.data?.fields) setCatalogue(res.data.data);
+      })
+      .catch(() => {});
+  }, []);
 
-  const removeCondition = (i) =>
-    setConditions(conditions.filter((_, idx) => idx !== i));
+  // edit mode: load the saved segment into the editor
+  useEffect(() => {
+    if (!id) return;
+    axios
+      .get(`/api/segments/${id}`)
+      .then((res) => {
+        const s = res.data.data;
+        setSegment(s);
+        setName(s.name);
+        setRules({ logic: s.logic || "AND", conditions: s.conditions || [] });
+      })
+      .catch(() => setError("Failed to load segment"));
+  }, [id]);
 
   const handlePreview = async () => {
     setLoading(true);
     setPreview(null);
     try {
-      const res = await axios.post("/api/segments/preview", { conditions, logic });
+      const res = await axios.post("/api/segments/preview", rules);
       setPreview(res.data);
     } catch (e) {
-      setPreview({ error: "Failed to reach backend" });
+      setPreview({ error: e.response?.data?.error || "Failed to reach backend" });
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSave = async () => {
+    if (!name.trim()) {
+      alert("Please give the segment a name");
+      return;
+    }
+    setSaving(true);
+    try {
+      const body = { name, ...rules };
+      if (id) await axios.put(`/api/segments/${id}`, body);
+      else await axios.post("/api/segments", body);
+      navigate("/segments");
+    } catch (e) {
+      alert("Error saving segment: " + (e.response?.data?.error || e.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadVersion = (v) => {
+    setName(v.name);
+    setRules({ logic: v.logic || "AND", conditions: v.conditions || [] });
+    setPreview(null);
+  };
+
+  if (error) return <p style={{ color: "red" }}>{error}</p>;
+  if (id && !segment) return <p>Loading segment...</p>;
+
   return (
     <div>
-      <h2>Create Segment</h2>
+      <h2>{id ? `Edit Segment (v${segment.version || 1})` : "Create Segment"}</h2>
       <div>
-        <label>
-          Logic:
-          <select value={logic} onChange={(e) => setLogic(e.target.value)}>
-            <option value="AND">AND</option>
-            <option value="OR">OR</option>
-          </select>
-        </label>
-
-        {conditions.map((c, i) => (
-          <ConditionRow
-            key={i}
-            idx={i}
-            cond={c}
-            onChange={updateCondition}
-            onRemove={removeCondition}
-          />
-        ))}
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Segment Name" />
+
+        <RuleGroup group={rules} depth={0} catalogue={catalogue} onChange={setRules} />
 
-        <button onClick={addCondition}>Add condition</button>
         <button onClick={handlePreview} disabled={loading}>
           {loading ? "Loading..." : "Preview Audience"}
         </button>
+        <button onClick={handleSave} disabled={saving}>
+          {saving ? "Saving..." : id ? "Save new version" : "Save Segment"}
+        </button>
 
         {preview && preview.error && <div>{preview.error}</div>}
         {preview && !preview.error && (
           <div>
             <strong>Audience count:</strong> {preview.audience_count}
-            <pre>{JSON.stringify(preview.sample, null, 2)}</pre>
+            <SampleTable sample={preview.sample || []} />
           </div>
         )}
+
+        {segment && <VersionHistory versions={segment.versions} onLoad={loadVersion} />}
       </div>
     </div>
   );
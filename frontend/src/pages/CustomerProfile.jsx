@@ -0,0 +1,199 @@
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import axios from "axios";
+
+const STATS = [
+  ["order_count", "Orders"],
+  ["order_total", "Total spent"],
+  ["avg_order_value", "Avg order value"],
+  ["days_since_last_order", "Days since last order"],
+];
+
+const STATUS_COLORS = {
+  FAILED: "#d64545",
+  BOUNCED: "#8a5a44",
+  CANCELLED: "#888",
+  SUPPRESSED: "#c77700",
+  COMPLAINED: "#d64545",
+  CLICKED: "#9b4dca",
+  OPENED: "#e0a100",
+};
+
+const CHANNELS = ["email", "sms", "whatsapp"];
+
+// One line of the timeline; message and status events name their campaign.
+function describe(event) {
+  if (event.type === "order") {
+    const items = event.items.map((i) => `${i.sku} x${i.qty || 1}`).join(", ");
+    const credit = event.attributedTo ? ` — attributed to ${event.attributedTo.campaignName || event.attributedTo.campaignId}` : "";
+    return `Order of ${event.amount}${items ? ` (${items})` : ""}${credit}`;
+  }
+  const campaign = event.campaignName || event.campaignId;
+  if (event.type === "message" && event.status === "SUPPRESSED") {
+    return `${campaign}: ${event.channel} message not sent — ${event.suppression?.message || "suppressed"}`;
+  }
+  if (event.type === "message") {
+    return `${campaign}: ${event.channel} message queued${event.variant ? ` (variant ${event.variant})` : ""} — "${event.message}"`;
+  }
+  if (event.source === "deferred") {
+    return `${campaign}: deferred until ${new Date(event.until).toLocaleString()} (${event.reason === "QUIET_HOURS" ? "quiet hours" : "frequency cap"})`;
+  }
+  if (event.status === "QUEUED" && event.error) return `${campaign}: attempt failed (${event.error}), retrying`;
+  return `${campaign}: ${event.status}${event.source ? ` (${event.source})` : ""}`;
+}
+
+export default function CustomerProfile() {
+  const { id } = useParams();
+  const [customer, setCustomer] = useState(null);
+  const [timeline, setTimeline] = useState([]);
+  const [error, setError] = useState(null);
+
+  // profile edit state
+  const [name, setName] = useState("");
+  const [phone, setPhone] = useState("");
+  const [metadataText, setMetadataText] = useState("{}");
+  const [consent, setConsent] = useState({});
+  const [timezone, setTimezone] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setError(null);
+    Promise.all([axios.get(`/api/customers/${id}`), axios.get(`/api/customers/${id}/timeline`)])
+      .then(([customerRes, timelineRes]) => {
+        const c = customerRes.data.data;
+        setCustomer(c);
+        setName(c.name || "");
+        setPhone(c.phone || "");
+        setMetadataText(JSON.stringify(c.metadata || {}, null, 2));
+        setConsent(c.consent || {});
+        setTimezone(c.timezone || "");
+        setTimeline(timelineRes.data.data || []);
+      })
+      .catch((err) => setError(err.response?.data?.error || "Failed to load customer"));
+  }, [id]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    let metadata;
+    try {
+      metadata = JSON.parse(metadataText);
+    } catch {
+      alert("Metadata must be valid JSON");
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await axios.patch(`/api/customers/${id}`, { name, phone, metadata, consent, timezone });
+      setCustomer((prev) => ({ ...prev, ...res.data.data }));
+      setPhone(res.data.data.phone || "");
+      alert("Saved");
+    } catch (err) {
+      alert("Save failed: " + (err.response?.data?.error || err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (error) return <p style={{ color: "red" }}>{error}</p>;
+  if (!customer) return <p>Loading customer...</p>;
+
+  const stats = customer.stats || {};
+
+  return (
+    <div style={{ padding: "20px" }}>
+      <Link to="/">← Customers</Link>
+      <h2>{customer.name}</h2>
+      <p>
+        {customer.email}
+        {customer.phone ? ` · ${customer.phone}` : ""}
+        {customer.external_id ? ` · external id ${customer.external_id}` : ""} · customer since{" "}
+        {new Date(customer.createdAt).toLocaleDateString()}
+      </p>
+      {customer.mergedFrom?.length > 0 && <p>Merged from: {customer.mergedFrom.map((m) => m.email).join(", ")}</p>}
+
+      {/* Computed stats */}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 10, marginBottom: 12 }}>
+        {STATS.map(([key, title]) => (
+          <div key={key} style={{ padding: "8px 12px", border: "1px solid #ddd", minWidth: 100 }}>
+            <div style={{ fontSize: 12 }}>{title}</div>
+            <div style={{ fontSize: 20 }}>{stats[key] ?? "-"}</div>
+          </div>
+        ))}
+        <div style={{ padding: "8px 12px", border: "1px solid #ddd", minWidth: 100 }}>
+          <div style={{ fontSize: 12 }}>RFM score</div>
+          <div style={{ fontSize: 20 }}>{stats.rfm?.score ?? "-"}</div>
+        </div>
+        <div style={{ padding: "8px 12px", border: "1px solid #ddd", minWidth: 100 }}>
+          <div style={{ fontSize: 12 }}>Messages</div>
+          <div style={{ fontSize: 14 }}>
+            {Object.entries(stats.messages || {})
+              .map(([status, count]) => `${count} ${status.toLowerCase()}`)
+              .join(", ") || "none"}
+          </div>
+        </div>
+      </div>
+
+      {/* Profile and metadata */}
+      <div className="card" style={{ marginBottom: "20px", padding: "10px" }}>
+        <h3>Profile</h3>
+        <form onSubmit={handleSave}>
+          <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Name" />
+          <input value={phone} onChange={(e) => setPhone(e.target.value)} placeholder="Phone" />
+          <input value={timezone} onChange={(e) => setTimezone(e.target.value)} placeholder="Timezone, e.g. Asia/Kolkata" />
+          <div style={{ marginTop: 8 }}>
+            Consent:{" "}
+            {CHANNELS.map((channel) => (
+              <label key={channel} style={{ marginRight: 10 }}>
+                <input
+                  type="checkbox"
+                  checked={consent[channel] !== false}
+                  onChange={(e) => setConsent((prev) => ({ ...prev, [channel]: e.target.checked }))}
+                />{" "}
+                {channel}
+              </label>
+            ))}
+          </div>
+          <div style={{ marginTop: 8 }}>Metadata (JSON)</div>
+          <textarea
+            value={metadataText}
+            onChange={(e) => setMetadataText(e.target.value)}
+            rows={Math.min(15, metadataText.split("\n").length + 1)}
+            style={{ width: "100%", fontFamily: "monospace" }}
+          />
+          <button type="submit" disabled={saving}>
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </form>
+      </div>
+
+      {/* Timeline */}
+      <div className="card" style={{ padding: "10px" }}>
+        <h3>Timeline</h3>
+        {timeline.length === 0 ? (
+          <p>No orders or messages yet</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Event</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {timeline.map((event, i) => (
+                <tr key={`${event.type}-${event.orderId || event.messageId}-${i}`}>
+                  <td>{new Date(event.at).toLocaleString()}</td>
+                  <td style={{ color: STATUS_COLORS[event.status] }}>
+                    {event.type === "order" ? "🛒 order" : event.type === "message" ? "✉️ message" : `• ${event.status}`}
+                  </td>
+                  <td>{describe(event)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
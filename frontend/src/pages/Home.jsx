@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from "react"
 import axios from "axios"
+import { Link } from "react-router-dom"
 
 export default function Home() {
   const [user, setUser] = useState(null)
@@ -29,6 +30,28 @@ export default function Home() {
       .finally(() => setLoading(false))
   }, [])
 
+  const canMerge = Boolean(user?.permissions?.includes("admin"))
+
+  // Admin merge: the customer picked by email is folded into `target` (orders and messages move over)
+  const handleMerge = async (target) => {
+    const email = window.prompt(`Email of the duplicate customer to merge into ${target.email}:`)
+    if (!email) return
+    const source = customers.find(c => c.email === email.trim().toLowerCase())
+    if (!source) {
+      alert("No customer with that email")
+      return
+    }
+    if (!window.confirm(`Merge ${source.name} <${source.email}> into ${target.name} <${target.email}>? ${source.email} will be deleted.`)) return
+    try {
+      const res = await axios.post(`/api/customers/${target.id}/merge`, { sourceId: source.id })
+      setCustomers(prev => prev.filter(c => c.id !== source.id).map(c => (c.id === target.id ? res.data.data : c)))
+      setOrders(prev => prev.map(o => (o.customer_email === source.email ? { ...o, customer_email: target.email } : o)))
+      alert(`Merged: ${res.data.moved.orders} orders and ${res.data.moved.messages} messages moved`)
+    } catch (err) {
+      alert("Merge failed: " + (err.response?.data?.error || err))
+    }
+  }
+
   if (loading) return <p>Loading...</p>
 
   return (
@@ -56,17 +79,25 @@ export default function Home() {
               <tr>
                 <th>Name</th>
                 <th>Email</th>
+                <th>Phone</th>
                 <th>Total Spent</th>
                 <th>Last Order</th>
+                {canMerge && <th>Actions</th>}
               </tr>
             </thead>
             <tbody>
               {customers.map((c) => (
                 <tr key={c.id}>
-                  <td>{c.name}</td>
+                  <td>{user ? <Link to={`/customers/${c.id}`}>{c.name}</Link> : c.name}</td>
                   <td>{c.email}</td>
+                  <td>{c.phone || "-"}</td>
                   <td>{c.total_spent}</td>
                   <td>{c.last_order_date ? new Date(c.last_order_date).toLocaleDateString() : "-"}</td>
+                  {canMerge && (
+                    <td>
+                      <button onClick={() => handleMerge(c)}>Merge duplicate…</button>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
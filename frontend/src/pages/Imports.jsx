@@ -0,0 +1,299 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+
+const FIELDS = {
+  customers: ["name", "email", "phone", "external_id", "total_spent", "last_order_date"],
+  orders: ["customer_email", "amount", "date", "items"],
+};
+
+const CONTENT_TYPES = { csv: "text/csv", ndjson: "application/x-ndjson" };
+
+// Column names from the start of the file: the CSV header line or the keys of the first NDJSON object.
+async function readColumns(file, format) {
+  const head = await file.slice(0, 64 * 1024).text();
+  const firstLine = head.replace(/^\uFEFF/, "").split(/\r?\n/)[0];
+  if (format === "ndjson") {
+    try {
+      return Object.keys(JSON.parse(firstLine));
+    } catch {
+      return [];
+    }
+  }
+  return (firstLine.match(/("([^"]|"")*"|[^,]*)(,|$)/g) || [])
+    .map((c) => c.replace(/,$/, "").replace(/^"|"$/g, "").replace(/""/g, '"').trim())
+    .filter(Boolean);
+}
+
+// Each field defaults to the column of the same name.
+function defaultMapping(type, columns) {
+  const mapping = {};
+  FIELDS[type].forEach((f) => {
+    mapping[f] = columns.includes(f) ? f : "";
+  });
+  return mapping;
+}
+
+export default function Imports() {
+  const [imports, setImports] = useState([]);
+  const [error, setError] = useState(null);
+
+  // upload form
+  const [type, setType] = useState("customers");
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState("csv");
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [metadataColumns, setMetadataColumns] = useState([]);
+  const [uploadPercent, setUploadPercent] = useState(null);
+
+  // error report
+  const [reportId, setReportId] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const fetchImports = () =>
+    axios
+      .get("/api/imports")
+      .then((res) => setImports(res.data.data || []))
+      .catch(() => setError("Failed to load imports"));
+
+  useEffect(() => {
+    fetchImports();
+  }, []);
+
+  // poll progress while an import is running (queued rows finish after the upload)
+  const anyRunning = imports.some((i) => i.status === "RUNNING");
+  useEffect(() => {
+    if (!anyRunning) return;
+    const timer = setInterval(fetchImports, 2000);
+    return () => clearInterval(timer);
+  }, [anyRunning]);
+
+  const handleFile = async (picked) => {
+    setFile(picked);
+    if (!picked) return;
+    const detected = /\.csv$/i.test(picked.name) ? "csv" : "ndjson";
+    const cols = await readColumns(picked, detected);
+    setFormat(detected);
+    setColumns(cols);
+    setMapping(defaultMapping(type, cols));
+    setMetadataColumns([]);
+  };
+
+  const handleType = (next) => {
+    setType(next);
+    setMapping(defaultMapping(next, columns));
+  };
+
+  const toggleMetadata = (column) => {
+    setMetadataColumns((prev) => (prev.includes(column) ? prev.filter((c) => c !== column) : [...prev, column]));
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      alert("Please pick a file");
+      return;
+    }
+    const params = { type, format, filename: file.name, mapping: {} };
+    Object.entries(mapping).forEach(([field, column]) => {
+      if (column) params.mapping[field] = column;
+    });
+    metadataColumns.forEach((column) => {
+      params.mapping[`metadata.${column.replace(/[^A-Za-z0-9_-]/g, "_")}`] = column;
+    });
+    setUploadPercent(0);
+    try {
+      const res = await axios.post("/api/imports", file, {
+        params,
+        headers: { "Content-Type": CONTENT_TYPES[format] },
+        onUploadProgress: (p) => p.total && setUploadPercent(Math.round((p.loaded / p.total) * 100)),
+      });
+      const job = res.data.data;
+      setImports((prev) => [...prev, job]);
+      alert(`Read ${job.rows} rows: ${job.succeeded} imported, ${job.failed} failed so far`);
+    } catch (err) {
+      alert("Import failed: " + (err.response?.data?.error || err));
+      fetchImports();
+    } finally {
+      setUploadPercent(null);
+    }
+  };
+
+  const showReport = async (id) => {
+    if (reportId === id) {
+      setReportId(null);
+      return;
+    }
+    setReportId(id);
+    setReport(null);
+    try {
+      const res = await axios.get(`/api/imports/${id}/errors`);
+      setReport(res.data);
+    } catch {
+      setReport({ data: [], failed: 0, loadError: true });
+    }
+  };
+
+  const downloadReport = async (id) => {
+    const res = await axios.get(`/api/imports/${id}/errors`, { params: { format: "csv" }, responseType: "blob" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(res.data);
+    link.download = `import-${id}-errors.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  if (error) return <p style={{ color: "red" }}>{error}</p>;
+
+  return (
+    <div style={{ padding: "20px" }}>
+      <h2>Bulk Import</h2>
+
+      {/* Upload form */}
+      <div className="card" style={{ marginBottom: "20px", padding: "10px" }}>
+        <h3>Upload CSV or NDJSON</h3>
+        <form onSubmit={handleUpload}>
+          <select value={type} onChange={(e) => handleType(e.target.value)}>
+            <option value="customers">Customers</option>
+            <option value="orders">Orders</option>
+          </select>
+          <input type="file" accept=".csv,.ndjson,.jsonl" onChange={(e) => handleFile(e.target.files[0] || null)} />
+          <select value={format} onChange={(e) => setFormat(e.target.value)}>
+            <option value="csv">CSV</option>
+            <option value="ndjson">NDJSON</option>
+          </select>
+          {file && (
+            <table style={{ marginTop: 8 }}>
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Column</th>
+                </tr>
+              </thead>
+              <tbody>
+                {FIELDS[type].map((field) => (
+                  <tr key={field}>
+                    <td>{field}</td>
+                    <td>
+                      <select
+                        value={mapping[field] || ""}
+                        onChange={(e) => setMapping((prev) => ({ ...prev, [field]: e.target.value }))}
+                      >
+                        <option value="">-- not mapped --</option>
+                        {columns.map((c) => (
+                          <option key={c} value={c}>
+                            {c}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {file && columns.length > 0 && (
+            <div style={{ marginTop: 8 }}>
+              Store in metadata:{" "}
+              {columns
+                .filter((c) => !Object.values(mapping).includes(c))
+                .map((c) => (
+                  <label key={c} style={{ marginRight: 10 }}>
+                    <input type="checkbox" checked={metadataColumns.includes(c)} onChange={() => toggleMetadata(c)} /> {c}
+                  </label>
+                ))}
+            </div>
+          )}
+          <div style={{ marginTop: 8 }}>
+            <button type="submit" disabled={uploadPercent !== null}>
+              {uploadPercent === null ? "Import" : `Uploading ${uploadPercent}%`}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Import jobs */}
+      <div className="card">
+        {imports.length === 0 ? (
+          <p>No imports yet</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Type</th>
+                <th>Status</th>
+                <th>Rows read</th>
+                <th>Processed</th>
+                <th>Imported</th>
+                <th>Failed</th>
+                <th>Started</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...imports].reverse().map((i) => (
+                <tr key={i.id}>
+                  <td>{i.filename || i.id}</td>
+                  <td>{i.type}</td>
+                  <td title={i.error || ""}>{i.status}</td>
+                  <td>{i.rows}</td>
+                  <td>{i.processed}</td>
+                  <td>{i.succeeded}</td>
+                  <td>{i.failed}</td>
+                  <td>{new Date(i.createdAt).toLocaleString()}</td>
+                  <td>
+                    {i.failed > 0 && (
+                      <>
+                        <button onClick={() => showReport(i.id)}>{reportId === i.id ? "Hide Errors" : "View Errors"}</button>
+                        <button onClick={() => downloadReport(i.id)}>Download CSV</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {/* error report */}
+        {reportId && (
+          <div>
+            <h4>Errors for {imports.find((i) => i.id === reportId)?.filename || reportId}</h4>
+            {!report ? (
+              <p>Loading...</p>
+            ) : report.loadError ? (
+              <p style={{ color: "red" }}>Failed to load the error report</p>
+            ) : (
+              <>
+                {report.truncated && (
+                  <p>
+                    Showing the first {report.data.length} of {report.failed} errors.
+                  </p>
+                )}
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Error</th>
+                      <th>Data</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.data.map((e) => (
+                      <tr key={e.row}>
+                        <td>{e.row}</td>
+                        <td>{e.error}</td>
+                        <td>{e.data ? JSON.stringify(e.data) : "-"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,135 @@
 import React, { useEffect, useState } from 'react'
 import axios from 'axios'
 
-export default function Logs() {
+const STATUS_COLORS = { QUEUED: "gray", FAILED: "red", BOUNCED: "red", COMPLAINED: "red", SUPPRESSED: "orange" }
+
+// Receipts the webhook refused (bad signature, replay, IP not allowlisted, ...).
+function Quarantine() {
+  const [items, setItems] = useState(null)
+
+  const load = () => {
+    axios.get("/api/delivery-receipt/quarantine")
+      .then(res => setItems(res.data.data || []))
+      .catch(() => alert("Failed to load quarantined receipts"))
+  }
+
+  if (!items) return <button onClick={load} style={{ marginTop: "20px" }}>Show quarantined receipts</button>
+
+  return (
+    <div style={{ marginTop: "20px" }}>
+      <h3>Quarantined Receipts ({items.length})</h3>
+      <button onClick={() => setItems(null)}>Hide</button>
+      {items.length > 0 && (
+        <table border="1" cellPadding="6" style={{ marginTop: "10px", borderCollapse: "collapse", width:"100%" }}>
+          <thead>
+            <tr>
+              <th>Received</th>
+              <th>Vendor</th>
+              <th>IP</th>
+              <th>Reason</th>
+              <th>Body</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((q) => (
+              <tr key={q.id}>
+                <td>{new Date(q.receivedAt).toLocaleString()}</td>
+                <td>{q.vendor || "-"}</td>
+                <td>{q.ip}</td>
+                <td>{q.status} {q.reason}</td>
+                <td title={q.bodySha256 ? `sha256 ${q.bodySha256}` : undefined}>
+                  {q.bodySha256 ? <code>{q.bodyBytes} bytes, sha256 {q.bodySha256.slice(0, 12)}…</code> : <code>{q.body}</code>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+// Addresses that are never messaged again (bounces, spam complaints, manual entries).
+// Viewers see the list; adding and removing entries needs write access.
+function Suppressions({ canEdit }) {
+  const [items, setItems] = useState(null)
+  const [address, setAddress] = useState("")
+  const [reason, setReason] = useState("MANUAL")
+
+  const load = () => {
+    axios.get("/api/suppressions")
+      .then(res => setItems(res.data.data || []))
+      .catch(() => alert("Failed to load the suppression list"))
+  }
+
+  const add = async (e) => {
+    e.preventDefault()
+    try {
+      const res = await axios.post("/api/suppressions", { address, reason })
+      const entry = res.data.data
+      setItems(prev => [...prev.filter(s => s.id !== entry.id), entry])
+      setAddress("")
+    } catch (err) {
+      alert("Failed to add: " + (err.response?.data?.error || err))
+    }
+  }
+
+  const remove = async (entry) => {
+    if (!confirm(`Allow messages to ${entry.address} again?`)) return
+    try {
+      await axios.delete(`/api/suppressions/${entry.id}`)
+      setItems(prev => prev.filter(s => s.id !== entry.id))
+    } catch (err) {
+      alert("Failed to remove: " + (err.response?.data?.error || err))
+    }
+  }
+
+  if (!items) return <button onClick={load} style={{ marginTop: "20px" }}>Show suppression list</button>
+
+  return (
+    <div style={{ marginTop: "20px" }}>
+      <h3>Suppression List ({items.length})</h3>
+      <button onClick={() => setItems(null)}>Hide</button>
+      {canEdit && (
+        <form onSubmit={add} style={{ marginTop: "10px" }}>
+          <input value={address} onChange={e => setAddress(e.target.value)} placeholder="Email or phone" required />
+          <select value={reason} onChange={e => setReason(e.target.value)}>
+            <option value="MANUAL">Manual</option>
+            <option value="BOUNCE">Bounce</option>
+            <option value="COMPLAINT">Complaint</option>
+          </select>
+          <button type="submit">Suppress</button>
+        </form>
+      )}
+      {items.length > 0 && (
+        <table border="1" cellPadding="6" style={{ marginTop: "10px", borderCollapse: "collapse", width:"100%" }}>
+          <thead>
+            <tr>
+              <th>Address</th>
+              <th>Reason</th>
+              <th>Source</th>
+              <th>Added</th>
+              {canEdit && <th></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((s) => (
+              <tr key={s.id}>
+                <td>{s.address}</td>
+                <td title={s.note || undefined}>{s.reason}</td>
+                <td>{s.source || "-"}</td>
+                <td>{new Date(s.createdAt).toLocaleString()}</td>
+                {canEdit && <td><button onClick={() => remove(s)}>Remove</button></td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default function Logs({ user }) {
   const [logs, setLogs] = useState([])
   const [loading, setLoading] = useState(true)
 
@@ -23,7 +151,10 @@ export default function Logs() {
           <tr>
             <th>Campaign ID</th>
             <th>Customer Email</th>
+            <th>Channel</th>
+            <th>Variant</th>
             <th>Status</th>
+            <th>History</th>
             <th>Message</th>
             <th>Timestamp</th>
           </tr>
@@ -33,8 +164,13 @@ export default function Logs() {
             <tr key={log.id}>
               <td>{log.campaignId}</td>
               <td>{log.customer_email}</td>
-              <td style={{ color: log.status === "SENT" ? "green" : "red" }}>
-                {log.status}
+              <td>{log.channel || "email"}</td>
+              <td>{log.variant || "A"}</td>
+              <td style={{ color: STATUS_COLORS[log.status] || "green" }} title={log.error ? log.error.message : log.suppression ? log.suppression.message : undefined}>
+                {log.status}{log.error ? ` (${log.error.code})` : ""}{log.suppression ? ` (${log.suppression.code})` : ""}{log.deferredUntil ? ` (deferred until ${new Date(log.deferredUntil).toLocaleString()})` : ""}
+              </td>
+              <td title={(log.history || []).map(h => `${h.status} ${new Date(h.at).toLocaleString()} (${h.source})`).join("\n")}>
+                {(log.history || []).map(h => h.status).join(" → ")}
               </td>
               <td>{log.message}</td>
               <td>{new Date(log.timestamp).toLocaleString()}</td>
@@ -42,6 +178,9 @@ export default function Logs() {
           ))}
         </tbody>
       </table>
+      {/* quarantined receipts are admin-only */}
+      {user?.role === "admin" && <Quarantine />}
+      <Suppressions canEdit={Boolean(user?.permissions?.includes("write"))} />
     </div>
   )
 }
@@ -0,0 +1,92 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import axios from "axios";
+
+// Human-readable one-liner for a (possibly nested) rule group.
+function describeRules(group) {
+  const parts = (group.conditions || []).map((node) => {
+    if (Array.isArray(node.conditions)) return `(${describeRules(node)})`;
+    const value = Array.isArray(node.value) ? node.value.join("–") : node.value;
+    const within = node.within_days ? ` within ${node.within_days}d` : "";
+    return `${node.field} ${node.op}${value !== undefined && value !== "" ? " " + value : ""}${within}`;
+  });
+  return parts.length ? parts.join(` ${group.logic || "AND"} `) : "everyone";
+}
+
+export default function Segments() {
+  const [segments, setSegments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios
+      .get("/api/segments")
+      .then((res) => setSegments(res.data.data || []))
+      .catch(() => setError("Failed to fetch segments"))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleDelete = async (segment) => {
+    if (!window.confirm(`Delete segment "${segment.name}"?`)) return;
+    try {
+      await axios.delete(`/api/segments/${segment.id}`);
+      setSegments((prev) => prev.filter((s) => s.id !== segment.id));
+    } catch (err) {
+      alert("Delete failed: " + (err.response?.data?.error || err.message));
+    }
+  };
+
+  if (loading) return <p>Loading segments...</p>;
+  if (error) return <p style={{ color: "red" }}>{error}</p>;
+
+  return (
+    <div style={{ padding: "20px" }}>
+      <h2>Segments</h2>
+      <p>
+        <Link to="/create">+ New Segment</Link>
+      </p>
+
+      <div className="card">
+        {segments.length === 0 ? (
+          <p>No segments yet</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Rules</th>
+                <th>Audience</th>
+                <th>Version</th>
+                <th>Campaigns</th>
+                <th>Updated</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {segments.map((s) => (
+                <tr key={s.id}>
+                  <td>{s.name}</td>
+                  <td>{describeRules(s)}</td>
+                  <td>{s.audience_count}</td>
+                  <td>v{s.version || 1}</td>
+                  <td>{s.campaign_count}</td>
+                  <td>{new Date(s.updatedAt || s.createdAt).toLocaleString()}</td>
+                  <td>
+                    <Link to={`/segments/${s.id}/edit`}>Edit</Link>{" "}
+                    <button
+                      onClick={() => handleDelete(s)}
+                      disabled={s.campaign_count > 0}
+                      title={s.campaign_count > 0 ? "Used by a campaign" : ""}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
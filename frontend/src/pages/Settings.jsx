@@ -0,0 +1,183 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+
+// Frequency cap and quiet hours, applied to every campaign right before each message goes out.
+// Only admins may change them; everyone else sees them read-only.
+function DeliveryRules({ editable }) {
+  const [rules, setRules] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    axios
+      .get("/api/settings/delivery")
+      .then((res) => setRules(res.data.data))
+      .catch(() => setError("Failed to load delivery rules"));
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const { frequencyCap, quietHours, defaultTimezone } = rules;
+      const res = await axios.put("/api/settings/delivery", { frequencyCap, quietHours, defaultTimezone });
+      setRules(res.data.data);
+      alert("Delivery rules saved");
+    } catch (err) {
+      alert("Save failed: " + (err.response?.data?.error || err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (error) return <p style={{ color: "red" }}>{error}</p>;
+  if (!rules) return <p>Loading delivery rules...</p>;
+
+  const cap = rules.frequencyCap;
+  const quiet = rules.quietHours;
+  const set = (changes) => setRules((prev) => ({ ...prev, ...changes }));
+
+  return (
+    <div className="card" style={{ marginBottom: "20px", padding: "10px" }}>
+      <h3>Delivery rules</h3>
+      <p style={{ fontSize: 13 }}>
+        Messages that would break a rule are not dropped: they wait and go out as soon as the rule allows.
+      </p>
+      <form onSubmit={handleSave}>
+        <fieldset disabled={!editable} style={{ border: "none", padding: 0, margin: 0 }}>
+          <div style={{ marginBottom: 8 }}>
+            <label>
+              <input
+                type="checkbox"
+                checked={Boolean(cap)}
+                onChange={(e) => set({ frequencyCap: e.target.checked ? { maxMessages: 3, periodDays: 7 } : null })}
+              />{" "}
+              Frequency cap
+            </label>
+            {cap && (
+              <span>
+                {" "}
+                at most{" "}
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={cap.maxMessages}
+                  onChange={(e) => set({ frequencyCap: { ...cap, maxMessages: Number(e.target.value) } })}
+                  style={{ width: 60 }}
+                />{" "}
+                messages per customer in any{" "}
+                <input
+                  type="number"
+                  min="1"
+                  max="90"
+                  value={cap.periodDays}
+                  onChange={(e) => set({ frequencyCap: { ...cap, periodDays: Number(e.target.value) } })}
+                  style={{ width: 60 }}
+                />{" "}
+                days
+              </span>
+            )}
+          </div>
+          <div style={{ marginBottom: 8 }}>
+            <label>
+              <input
+                type="checkbox"
+                checked={Boolean(quiet)}
+                onChange={(e) => set({ quietHours: e.target.checked ? { start: "21:00", end: "08:00" } : null })}
+              />{" "}
+              Quiet hours
+            </label>
+            {quiet && (
+              <span>
+                {" "}
+                from <input type="time" value={quiet.start} onChange={(e) => set({ quietHours: { ...quiet, start: e.target.value } })} /> to{" "}
+                <input type="time" value={quiet.end} onChange={(e) => set({ quietHours: { ...quiet, end: e.target.value } })} /> in
+                the customer&apos;s timezone
+              </span>
+            )}
+          </div>
+          <div style={{ marginBottom: 8 }}>
+            Default timezone (customers without one):{" "}
+            <input value={rules.defaultTimezone} onChange={(e) => set({ defaultTimezone: e.target.value })} placeholder="e.g. Asia/Kolkata" />
+          </div>
+        </fieldset>
+        {editable ? (
+          <button type="submit" disabled={saving}>
+            {saving ? "Saving..." : "Save"}
+          </button>
+        ) : (
+          <span style={{ fontSize: 12 }}>Only admins can change delivery rules.</span>
+        )}
+        {rules.updatedAt && (
+          <span style={{ marginLeft: 10, fontSize: 12 }}>
+            Last changed {new Date(rules.updatedAt).toLocaleString()}
+            {rules.updatedBy ? ` by ${rules.updatedBy}` : ""}
+          </span>
+        )}
+      </form>
+    </div>
+  );
+}
+
+// The browsers the current user is signed in on; other sessions can be signed out from here.
+function ActiveSessions() {
+  const [sessions, setSessions] = useState(null);
+
+  useEffect(() => {
+    axios
+      .get("/api/sessions")
+      .then((res) => setSessions(res.data.data || []))
+      .catch(() => setSessions([]));
+  }, []);
+
+  const handleRevoke = async (s) => {
+    if (!confirm("Sign out this session?")) return;
+    try {
+      await axios.delete(`/api/sessions/${s.id}`);
+      setSessions((prev) => prev.filter((x) => x.id !== s.id));
+    } catch (err) {
+      alert("Revoke failed: " + (err.response?.data?.error || err));
+    }
+  };
+
+  if (!sessions) return <p>Loading sessions...</p>;
+
+  return (
+    <div className="card" style={{ marginBottom: "20px", padding: "10px" }}>
+      <h3>Your active sessions</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Browser</th>
+            <th>IP</th>
+            <th>Signed in</th>
+            <th>Last active</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {sessions.map((s) => (
+            <tr key={s.id}>
+              <td>{s.userAgent || "unknown"}</td>
+              <td>{s.ip || "-"}</td>
+              <td>{s.createdAt ? new Date(s.createdAt).toLocaleString() : "-"}</td>
+              <td>{s.lastSeenAt ? new Date(s.lastSeenAt).toLocaleString() : "-"}</td>
+              <td>{s.current ? <b>This session</b> : <button onClick={() => handleRevoke(s)}>Sign out</button>}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function Settings({ user }) {
+  return (
+    <div style={{ padding: "20px" }}>
+      <h2>Settings</h2>
+      <DeliveryRules editable={user?.role === "admin"} />
+      <ActiveSessions />
+    </div>
+  );
+}